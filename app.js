@@ -3,6 +3,8 @@ import express from 'express'
 import nodeCleanup from 'node-cleanup'
 import routes from './routes.js'
 import { init, cleanup } from './whatsapp.js'
+import { attachWebSocket } from './utils/websocket.js'
+import { jsonBodyLimit } from './utils/upload.js'
 import cors from 'cors'
 
 const app = express()
@@ -12,7 +14,7 @@ const port = parseInt(process.env.PORT ?? 8000)
 
 app.use(cors())
 app.use(express.urlencoded({ extended: true }))
-app.use(express.json())
+app.use(express.json({ limit: jsonBodyLimit() }))
 app.use('/', routes)
 
 const listenerCallback = () => {
@@ -20,11 +22,9 @@ const listenerCallback = () => {
     console.log(`Server is listening on http://${host ? host : 'localhost'}:${port}`)
 }
 
-if (host) {
-    app.listen(port, host, listenerCallback)
-} else {
-    app.listen(port, listenerCallback)
-}
+const server = host ? app.listen(port, host, listenerCallback) : app.listen(port, listenerCallback)
+
+attachWebSocket(server)
 
 nodeCleanup(cleanup)
 
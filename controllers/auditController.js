@@ -0,0 +1,25 @@
+import { queryAudit } from './../store/audit-log.js'
+import response from './../response.js'
+
+const list = async (req, res) => {
+    const { from, to, action, sessionId, keyId, limit = 100, offset = 0 } = req.query
+    const actions = action ? String(action).split(',') : []
+
+    try {
+        const { entries, total } = await queryAudit({
+            from,
+            to,
+            actions,
+            sessionId,
+            keyId,
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+        })
+
+        response(res, 200, true, '', { entries, total })
+    } catch {
+        response(res, 500, false, 'Failed to read the audit log.')
+    }
+}
+
+export { list }
@@ -0,0 +1,151 @@
+import { notifyOutboundWorker } from './../utils/outbound-worker.js'
+import { updateCampaignItems } from './../store/outbound-queue.js'
+import {
+    getCampaigns,
+    findCampaign,
+    setCampaignStatus,
+    campaignProgress,
+    isCampaignFinished,
+} from './../store/campaigns.js'
+import response from './../response.js'
+
+const EXPORT_COLUMNS = ['key', 'receiver', 'status', 'messageId', 'error', 'updatedAt']
+
+// The recipients are left to the export, a campaign can have thousands
+const summary = (campaign) => {
+    const { recipients, ...details } = campaign
+
+    return { ...details, ...campaignProgress(campaign) }
+}
+
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value)
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const findOrFail = (req, res) => {
+    const campaign = findCampaign(res.locals.sessionId, req.params.campaignId)
+
+    if (!campaign) {
+        response(res, 404, false, 'Campaign not found.')
+    }
+
+    return campaign
+}
+
+const list = (req, res) => {
+    response(res, 200, true, '', getCampaigns(res.locals.sessionId).map(summary))
+}
+
+const find = (req, res) => {
+    const campaign = findOrFail(req, res)
+
+    if (campaign) {
+        response(res, 200, true, '', summary(campaign))
+    }
+}
+
+const pause = (req, res) => {
+    const { sessionId } = res.locals
+    const campaign = findOrFail(req, res)
+
+    if (!campaign) {
+        return
+    }
+
+    if (campaign.status !== 'running') {
+        return response(res, 400, false, `The campaign cannot be paused, it is ${campaign.status}.`)
+    }
+
+    // A message already being sent goes out, the rest waits for resume
+    updateCampaignItems(sessionId, campaign.id, ['queued'], { status: 'paused' })
+
+    response(
+        res,
+        200,
+        true,
+        'The campaign has been paused.',
+        summary(setCampaignStatus(sessionId, campaign.id, 'paused')),
+    )
+}
+
+const resume = (req, res) => {
+    const { sessionId } = res.locals
+    const campaign = findOrFail(req, res)
+
+    if (!campaign) {
+        return
+    }
+
+    if (campaign.status !== 'paused') {
+        return response(res, 400, false, `The campaign cannot be resumed, it is ${campaign.status}.`)
+    }
+
+    // Messages waiting for a retry keep their backoff
+    updateCampaignItems(sessionId, campaign.id, ['paused'], { status: 'queued' })
+    notifyOutboundWorker(sessionId)
+
+    response(
+        res,
+        200,
+        true,
+        'The campaign has been resumed.',
+        summary(setCampaignStatus(sessionId, campaign.id, 'running')),
+    )
+}
+
+const cancel = (req, res) => {
+    const { sessionId } = res.locals
+    const campaign = findOrFail(req, res)
+
+    if (!campaign) {
+        return
+    }
+
+    if (isCampaignFinished(campaign)) {
+        return response(res, 400, false, `The campaign cannot be cancelled, it is ${campaign.status}.`)
+    }
+
+    updateCampaignItems(sessionId, campaign.id, ['queued', 'paused'], { status: 'cancelled' })
+
+    response(
+        res,
+        200,
+        true,
+        'The campaign has been cancelled.',
+        summary(setCampaignStatus(sessionId, campaign.id, 'cancelled')),
+    )
+}
+
+const exportReport = (req, res) => {
+    const campaign = findOrFail(req, res)
+
+    if (!campaign) {
+        return
+    }
+
+    const rows = campaign.recipients.map((recipient) => {
+        return Object.fromEntries(
+            EXPORT_COLUMNS.map((column) => {
+                return [column, recipient[column]]
+            }),
+        )
+    })
+
+    if (req.query.format !== 'csv') {
+        return response(res, 200, true, '', rows)
+    }
+
+    const lines = rows.map((row) => {
+        return EXPORT_COLUMNS.map((column) => {
+            return csvValue(row[column])
+        }).join(',')
+    })
+
+    res.attachment(`${campaign.id}.csv`)
+        .type('text/csv')
+        .send([EXPORT_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n')
+}
+
+export { list, find, pause, resume, cancel, exportReport }
@@ -1,16 +1,51 @@
+import { randomUUID } from 'crypto'
+import { toNumber } from 'baileys'
 import {
     getSession,
     getChatList,
+    getContactName,
     isExists,
     sendMessage,
+    queueMessage,
+    queueMessages,
     formatPhone,
     formatGroup,
     readMessage,
     getMessageMedia,
     getStoreMessage,
+    starMessage,
 } from './../whatsapp.js'
 import response from './../response.js'
-import { compareAndFilter, fileExists, isUrlValid } from './../utils/functions.js'
+import { createCampaign } from './../store/campaigns.js'
+import { findMessageStatus } from './../store/message-status.js'
+import { listQueue } from './../store/outbound-queue.js'
+import { mediaMessageError } from './../utils/functions.js'
+import { resolveMessage } from './../utils/template.js'
+import { buildTypedMessage } from './../utils/message-types.js'
+import { removeUploads } from './../utils/upload.js'
+import { mentionText, resolveReply, withMentions } from './../utils/reply.js'
+
+// WhatsApp only accepts edits of a message for 15 minutes after it was sent
+const EDIT_WINDOW = 900
+
+// Values of proto.PinInChat.Type
+const PIN_FOR_ALL = 1
+const UNPIN_FOR_ALL = 2
+
+const chatJid = (jid, isGroup) => {
+    return isGroup ? formatGroup(jid) : formatPhone(jid)
+}
+
+// The message as kept by the store of the session, null when it is not there
+const findStoreMessage = async (session, jid, messageId) => {
+    try {
+        const [message] = await getStoreMessage(session, messageId, jid)
+
+        return message ?? null
+    } catch {
+        return null
+    }
+}
 
 const getList = (req, res) => {
     return response(res, 200, true, '', getChatList(res.locals.sessionId))
@@ -18,13 +53,9 @@ const getList = (req, res) => {
 
 const send = async (req, res) => {
     const session = getSession(res.locals.sessionId)
-    const { message } = req.body
     const isGroup = req.body.isGroup ?? false
     const receiver = isGroup ? formatGroup(req.body.receiver) : formatPhone(req.body.receiver)
 
-    const typesMessage = ['image', 'video', 'audio', 'document', 'sticker']
-
-    const filterTypeMessaje = compareAndFilter(Object.keys(message), typesMessage)
     try {
         const exists = await isExists(session, receiver, isGroup)
 
@@ -32,73 +63,105 @@ const send = async (req, res) => {
             return response(res, 400, false, 'The receiver number is not exists.')
         }
 
-        if (filterTypeMessaje.length > 0) {
-            const url = message[filterTypeMessaje]?.url
+        const reply = await resolveReply(session, receiver, req.body, isGroup)
+
+        if (reply.error) {
+            return response(res, 400, false, reply.error)
+        }
+
+        const { message, error } = req.body.type
+            ? { message: buildTypedMessage(req.body, receiver) }
+            : resolveMessage(res.locals.sessionId, req.body, {
+                  name: getContactName(session, receiver),
+                  mentions: mentionText(reply.mentions),
+              })
+
+        if (error) {
+            return response(res, 400, false, error)
+        }
 
-            if (url.length === undefined || url.length === 0) {
-                return response(res, 400, false, 'The URL is invalid or empty.')
-            }
+        const mediaError = mediaMessageError(message)
 
-            if (!isUrlValid(url)) {
-                if (!fileExists(url)) {
-                    return response(res, 400, false, 'The file or url does not exist.')
-                }
-            }
+        if (mediaError) {
+            return response(res, 400, false, mediaError)
         }
 
-        await sendMessage(session, receiver, message, {}, 0)
+        const item = queueMessage(res.locals.sessionId, {
+            receiver,
+            message: withMentions(message, reply.mentions),
+            options: reply.options,
+            isGroup,
+            uploads: res.locals.uploads,
+        })
 
-        response(res, 200, true, 'The message has been successfully sent.')
+        response(res, 202, true, 'The message has been queued.', {
+            id: item.id,
+            status: item.status,
+            key: { remoteJid: receiver, fromMe: true, id: item.options.messageId },
+            // WhatsApp only stamps the message once the worker sends it, see the status endpoint
+            queuedAt: item.createdAt,
+        })
     } catch {
         response(res, 500, false, 'Failed to send the message.')
     }
 }
 
-const sendBulk = async (req, res) => {
-    const session = getSession(res.locals.sessionId)
+/**
+ * The messages are queued as one campaign, its progress is followed on `/sessions/:id/campaigns/:campaignId`.
+ */
+const sendBulk = (req, res) => {
+    const { sessionId } = res.locals
+    const session = getSession(sessionId)
+    const campaignId = randomUUID()
+    const entries = []
     const errors = []
 
     for (const [key, data] of req.body.entries()) {
-        let { receiver, message, delay } = data
-
-        if (!receiver || !message) {
+        if (!data.receiver || !(data.message || data.template)) {
             errors.push({ key, message: 'The receiver number is not exists.' })
             continue
         }
 
-        if (!delay || isNaN(delay)) {
-            delay = 1000
-        }
-
-        receiver = formatPhone(receiver)
-
-        try {
-            const exists = await isExists(session, receiver)
+        const receiver = formatPhone(data.receiver)
+        const { message, error } = resolveMessage(sessionId, data, { name: getContactName(session, receiver) })
 
-            if (!exists) {
-                errors.push({ key, message: 'number not exists on whatsapp' })
-                continue
-            }
-
-            await sendMessage(session, receiver, message, {}, delay)
-        } catch (err) {
-            errors.push({ key, message: err.message })
+        if (error) {
+            errors.push({ key, message: error })
+            continue
         }
+
+        entries.push({ key, receiver, message })
     }
 
-    if (errors.length === 0) {
-        return response(res, 200, true, 'All messages has been successfully sent.')
+    if (entries.length === 0) {
+        return response(res, 400, false, 'Failed to queue all messages.', { errors })
     }
 
-    const isAllFailed = errors.length === req.body.length
+    // The media saved for the items left out is not needed anymore
+    for (const { key } of errors) {
+        removeUploads(res.locals.uploads?.[key])
+    }
 
-    response(
-        res,
-        isAllFailed ? 500 : 200,
-        !isAllFailed,
-        isAllFailed ? 'Failed to send all messages.' : 'Some messages has been successfully sent.',
-        { errors },
+    const items = queueMessages(
+        sessionId,
+        entries.map(({ key, receiver, message }) => {
+            return { receiver, message, verifyReceiver: true, campaignId, uploads: res.locals.uploads?.[key] }
+        }),
     )
+    const ids = entries.map(({ key, receiver }, index) => {
+        return { key, receiver, itemId: items[index].id }
+    })
+
+    // Created in the same tick as the items, before the worker can report on them
+    createCampaign(sessionId, { id: campaignId, name: req.query.name ?? null, recipients: ids })
+
+    response(res, 202, true, 'The messages have been queued.', {
+        campaignId,
+        ids: ids.map(({ key, itemId }) => {
+            return { key, id: itemId }
+        }),
+        errors,
+    })
 }
 
 const deleteChat = async (req, res) => {
@@ -193,4 +256,151 @@ const downloadMedia = async (req, res) => {
     }
 }
 
-export { getList, send, sendBulk, deleteChat, read, forward, sendPresence, downloadMedia }
+/**
+ * Replaces the text of a text message sent by the session.
+ */
+const edit = async (req, res) => {
+    const session = getSession(res.locals.sessionId)
+    const jid = chatJid(req.params.jid, req.body.isGroup)
+    const message = await findStoreMessage(session, jid, req.params.messageId)
+
+    if (!message) {
+        return response(res, 404, false, 'Message not found.')
+    }
+
+    if (!message.key.fromMe) {
+        return response(res, 403, false, 'Only the messages sent by this session can be edited.')
+    }
+
+    if (typeof message.message?.conversation !== 'string' && !message.message?.extendedTextMessage) {
+        return response(res, 400, false, 'Only text messages can be edited.')
+    }
+
+    if (Date.now() / 1000 - toNumber(message.messageTimestamp) > EDIT_WINDOW) {
+        return response(res, 400, false, 'The message is too old to be edited.')
+    }
+
+    try {
+        await sendMessage(session, jid, { text: req.body.text, edit: message.key }, {}, 0)
+
+        response(res, 200, true, 'The message has been successfully edited.')
+    } catch {
+        response(res, 500, false, 'Failed to edit the message.')
+    }
+}
+
+/**
+ * Reacts to a message with an emoji, an empty emoji removes the reaction.
+ */
+const react = async (req, res) => {
+    const session = getSession(res.locals.sessionId)
+    const jid = chatJid(req.params.jid, req.body.isGroup)
+    const message = await findStoreMessage(session, jid, req.params.messageId)
+
+    if (!message) {
+        return response(res, 404, false, 'Message not found.')
+    }
+
+    try {
+        await sendMessage(session, jid, { react: { text: req.body.emoji, key: message.key } }, {}, 0)
+
+        response(res, 200, true, req.body.emoji ? 'The reaction has been sent.' : 'The reaction has been removed.')
+    } catch {
+        response(res, 500, false, 'Failed to react to the message.')
+    }
+}
+
+/**
+ * Pins the message in the chat for everyone for `duration` seconds, or unpins it.
+ */
+const pin = async (req, res) => {
+    const session = getSession(res.locals.sessionId)
+    const jid = chatJid(req.params.jid, req.body.isGroup)
+    const message = await findStoreMessage(session, jid, req.params.messageId)
+    const { pin: isPin = true, duration = 604800 } = req.body
+
+    if (!message) {
+        return response(res, 404, false, 'Message not found.')
+    }
+
+    try {
+        const content = isPin
+            ? { pin: message.key, type: PIN_FOR_ALL, time: Number(duration) }
+            : { pin: message.key, type: UNPIN_FOR_ALL }
+
+        await sendMessage(session, jid, content, {}, 0)
+
+        response(res, 200, true, isPin ? 'The message has been pinned.' : 'The message has been unpinned.')
+    } catch {
+        response(res, 500, false, 'Failed to pin the message.')
+    }
+}
+
+const star = async (req, res) => {
+    const session = getSession(res.locals.sessionId)
+    const jid = chatJid(req.params.jid, req.body.isGroup)
+    const message = await findStoreMessage(session, jid, req.params.messageId)
+    const isStar = req.body.star ?? true
+
+    if (!message) {
+        return response(res, 404, false, 'Message not found.')
+    }
+
+    try {
+        await starMessage(session, jid, message.key, isStar)
+
+        response(res, 200, true, isStar ? 'The message has been starred.' : 'The message has been unstarred.')
+    } catch {
+        response(res, 500, false, 'Failed to star the message.')
+    }
+}
+
+/**
+ * Where a message sent by the session is, its queue status until WhatsApp acknowledges it, then its WhatsApp
+ * status with the receipts of each participant of a group.
+ */
+const messageStatus = (req, res) => {
+    const { sessionId } = res.locals
+    const { messageId } = req.params
+    const jid = chatJid(req.params.jid, req.query.isGroup === 'true')
+    const status = findMessageStatus(sessionId, messageId)
+
+    if (status?.remoteJid === jid) {
+        return response(res, 200, true, '', status)
+    }
+
+    const item = listQueue(sessionId).find((entry) => {
+        return entry.options?.messageId === messageId && entry.receiver === jid
+    })
+
+    if (!item) {
+        return response(res, 404, false, 'No status is known for this message.')
+    }
+
+    response(res, 200, true, '', {
+        id: messageId,
+        remoteJid: jid,
+        status: item.status,
+        messageTimestamp: null,
+        history: [],
+        recipients: {},
+        itemId: item.id,
+        error: item.error,
+    })
+}
+
+export {
+    getList,
+    send,
+    sendBulk,
+    deleteChat,
+    read,
+    forward,
+    sendPresence,
+    downloadMedia,
+    edit,
+    react,
+    pin,
+    star,
+    messageStatus,
+}
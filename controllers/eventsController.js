@@ -0,0 +1,56 @@
+import { parseFilter, restrictFilter, subscribeEvents, eventsSince } from './../utils/events.js'
+import { readEvents } from './../store/event-journal.js'
+import response from './../response.js'
+
+const stream = (req, res) => {
+    const filter = restrictFilter(parseFilter(req.query), res.locals.apiKey.sessions)
+
+    if (!filter) {
+        return response(res, 403, false, 'This API key is not allowed to use these sessions.')
+    }
+
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    })
+    res.flushHeaders()
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+    }
+
+    eventsSince(lastEventId, filter).forEach(send)
+
+    const unsubscribe = subscribeEvents(filter, send)
+    const keepAlive = setInterval(() => {
+        res.write(': ping\n\n')
+    }, 25000)
+
+    req.on('close', () => {
+        clearInterval(keepAlive)
+        unsubscribe()
+    })
+}
+
+const poll = async (req, res) => {
+    const { after = 0, limit = 100 } = req.query
+    const { types } = parseFilter(req.query)
+
+    try {
+        const events = await readEvents(res.locals.sessionId, {
+            after: parseInt(after),
+            types,
+            limit: parseInt(limit),
+        })
+
+        response(res, 200, true, '', events)
+    } catch {
+        response(res, 500, false, 'Failed to read the event journal.')
+    }
+}
+
+export { stream, poll }
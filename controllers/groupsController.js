@@ -2,8 +2,9 @@
 import {
     getSession,
     getChatList,
+    getContactName,
     isExists,
-    sendMessage,
+    queueMessage,
     formatGroup,
     formatPhone,
     getGroupsWithParticipants,
@@ -18,6 +19,9 @@ import {
     profilePicture,
 } from './../whatsapp.js'
 import response from './../response.js'
+import { resolveMessage } from './../utils/template.js'
+import { buildTypedMessage } from './../utils/message-types.js'
+import { mentionText, resolveReply, withMentions } from './../utils/reply.js'
 
 const getList = (req, res) => {
     return response(res, 200, true, '', getChatList(res.locals.sessionId, true))
@@ -67,17 +71,44 @@ const send = async (req, res) => {
 
     try {
         const receiver = formatGroup(req.body.receiver)
-        const { message } = req.body
-
         const exists = await isExists(session, receiver, true)
 
         if (!exists) {
             return response(res, 400, false, 'The receiver number is not exists.')
         }
 
-        await sendMessage(session, receiver, message, {}, 0)
+        const reply = await resolveReply(session, receiver, req.body, true)
+
+        if (reply.error) {
+            return response(res, 400, false, reply.error)
+        }
+
+        const { message, error } = req.body.type
+            ? { message: buildTypedMessage(req.body, receiver) }
+            : resolveMessage(res.locals.sessionId, req.body, {
+                  name: getContactName(session, receiver),
+                  mentions: mentionText(reply.mentions),
+              })
+
+        if (error) {
+            return response(res, 400, false, error)
+        }
 
-        response(res, 200, true, 'The message has been successfully sent.')
+        const item = queueMessage(res.locals.sessionId, {
+            receiver,
+            message: withMentions(message, reply.mentions),
+            options: reply.options,
+            isGroup: true,
+            uploads: res.locals.uploads,
+        })
+
+        response(res, 202, true, 'The message has been queued.', {
+            id: item.id,
+            status: item.status,
+            key: { remoteJid: receiver, fromMe: true, id: item.options.messageId },
+            // WhatsApp only stamps the message once the worker sends it, see the status endpoint
+            queuedAt: item.createdAt,
+        })
     } catch {
         response(res, 500, false, 'Failed to send the message.')
     }
@@ -0,0 +1,32 @@
+import { createApiKey, listApiKeys, revokeApiKey } from './../store/api-keys.js'
+import response from './../response.js'
+
+// Only the hash is stored, it is never sent back
+const serialize = ({ hash, ...apiKey }) => {
+    return apiKey
+}
+
+const list = (req, res) => {
+    response(res, 200, true, '', listApiKeys().map(serialize))
+}
+
+const create = (req, res) => {
+    const { name, sessions, scopes } = req.body
+
+    const { key, ...apiKey } = createApiKey({ name, sessions, scopes })
+
+    response(res, 200, true, 'The API key has been successfully created, store it now as it cannot be shown again.', {
+        ...serialize(apiKey),
+        key,
+    })
+}
+
+const revoke = (req, res) => {
+    if (!revokeApiKey(req.params.keyId)) {
+        return response(res, 404, false, 'API key not found.')
+    }
+
+    response(res, 200, true, 'The API key has been successfully revoked.')
+}
+
+export { list, create, revoke }
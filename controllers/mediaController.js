@@ -0,0 +1,83 @@
+import { listMedia, findMedia, addMedia, removeMedia, mediaInfo } from './../store/media-library.js'
+import { MEDIA_TYPES, readMultipart, decodeBase64Media, removeUploads } from './../utils/upload.js'
+import response from './../response.js'
+
+const list = (req, res) => {
+    response(res, 200, true, '', listMedia(res.locals.sessionId).map(mediaInfo))
+}
+
+const find = (req, res) => {
+    const entry = findMedia(res.locals.sessionId, req.params.mediaId)
+
+    if (!entry) {
+        return response(res, 404, false, 'Media not found.')
+    }
+
+    response(res, 200, true, '', mediaInfo(entry))
+}
+
+/**
+ * Stores a file sent as `multipart/form-data` or as base64 like the media of a send, with an optional
+ * `ttl` in seconds.
+ */
+const upload = async (req, res) => {
+    const uploads = []
+    let body
+
+    try {
+        body = req.is('multipart/form-data')
+            ? await readMultipart(req, uploads)
+            : { message: await decodeBase64Media(req.body, uploads) }
+    } catch (error) {
+        return response(res, error.statusCode ?? 400, false, error.message)
+    }
+
+    const { message } = body
+    const [upload] = uploads
+    const path = upload?.path
+    // Only a file saved from this request is stored, a `url` could name any file of the server
+    const hasUrl = MEDIA_TYPES.some((name) => {
+        return message?.[name]?.url !== undefined && message[name].url !== path
+    })
+    const type = MEDIA_TYPES.find((name) => {
+        return path !== undefined && message?.[name]?.url === path
+    })
+    const ttl = body.ttl ?? req.body?.ttl
+
+    if (hasUrl) {
+        removeUploads(uploads)
+
+        return response(res, 400, false, 'The file must be uploaded, a url cannot be stored.')
+    }
+
+    if (!type) {
+        return response(res, 400, false, 'There is no file to store.')
+    }
+
+    if (ttl !== undefined && !(Number.isInteger(Number(ttl)) && Number(ttl) >= 0)) {
+        removeUploads(uploads)
+
+        return response(res, 400, false, 'The ttl must be a number of seconds.')
+    }
+
+    const entry = addMedia(res.locals.sessionId, {
+        path,
+        sha256: upload.sha256,
+        type,
+        mimetype: message.mimetype,
+        fileName: message.fileName ?? null,
+        ttl: ttl === undefined ? undefined : Number(ttl),
+    })
+
+    response(res, 201, true, 'The media has been stored.', mediaInfo(entry))
+}
+
+const remove = (req, res) => {
+    if (!removeMedia(res.locals.sessionId, req.params.mediaId)) {
+        return response(res, 404, false, 'Media not found.')
+    }
+
+    response(res, 200, true, 'The media has been deleted.')
+}
+
+export { list, find, upload, remove }
@@ -7,7 +7,7 @@ import {
     formatGroup,
     profilePicture,
     blockAndUnblockUser,
-    sendMessage,
+    queueMessage,
 } from './../whatsapp.js'
 import response from './../response.js'
 
@@ -166,9 +166,14 @@ const shareStory = async (req, res) => {
             }
         }
 
-        await sendMessage(session, statusJid, message, optionsBroadcast, 0);
+        const item = queueMessage(res.locals.sessionId, {
+            receiver: statusJid,
+            message,
+            options: optionsBroadcast,
+            uploads: res.locals.uploads,
+        });
 
-        return response(res, 200, true, 'The story status has been successfully sent.');
+        return response(res, 202, true, 'The story status has been queued.', { id: item.id, status: item.status });
     } catch {
         return response(res, 500, false, 'Failed to send the story status.');
     }
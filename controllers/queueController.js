@@ -0,0 +1,41 @@
+import { findQueueItem, listQueue, updateQueueItem } from './../store/outbound-queue.js'
+import response from './../response.js'
+
+const list = (req, res) => {
+    const { status, limit = 100, offset = 0 } = req.query
+    const start = parseInt(offset)
+
+    response(res, 200, true, '', listQueue(res.locals.sessionId, { status }).slice(start, start + parseInt(limit)))
+}
+
+const find = (req, res) => {
+    const item = findQueueItem(res.locals.sessionId, req.params.itemId)
+
+    if (!item) {
+        return response(res, 404, false, 'Queued message not found.')
+    }
+
+    response(res, 200, true, '', item)
+}
+
+const cancel = (req, res) => {
+    const item = findQueueItem(res.locals.sessionId, req.params.itemId)
+
+    if (!item) {
+        return response(res, 404, false, 'Queued message not found.')
+    }
+
+    if (item.status !== 'queued') {
+        return response(res, 400, false, `The message cannot be cancelled, it is ${item.status}.`)
+    }
+
+    response(
+        res,
+        200,
+        true,
+        'The message has been cancelled.',
+        updateQueueItem(res.locals.sessionId, item.id, { status: 'cancelled' }),
+    )
+}
+
+export { list, find, cancel }
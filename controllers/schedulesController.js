@@ -0,0 +1,119 @@
+import { formatPhone, formatGroup } from './../whatsapp.js'
+import { createSchedule, listSchedules, findSchedule, updateSchedule, removeSchedule } from './../store/schedules.js'
+import { wakeScheduler } from './../utils/scheduler.js'
+import { nextCronRun } from './../utils/cron.js'
+import { mediaMessageError } from './../utils/functions.js'
+import response from './../response.js'
+
+const EDITABLE_FIELDS = ['message', 'sendAt', 'cron', 'timezone', 'catchUp', 'status']
+
+// Why the schedule cannot be saved, or null when it can
+const scheduleError = ({ message, sendAt, cron, timezone = 'UTC' }) => {
+    if (sendAt && cron) {
+        return 'A schedule has either a sendAt or a cron, not both.'
+    }
+
+    if (sendAt && sendAt <= Date.now()) {
+        return 'The sendAt time has already passed.'
+    }
+
+    // A valid expression such as `0 0 30 2 *` can still never match a date
+    if (cron && nextCronRun(cron, Date.now(), timezone) === null) {
+        return 'The cron expression never matches a date.'
+    }
+
+    return message ? mediaMessageError(message) : null
+}
+
+const list = (req, res) => {
+    response(res, 200, true, '', listSchedules(res.locals.sessionId))
+}
+
+const find = (req, res) => {
+    const schedule = findSchedule(res.locals.sessionId, req.params.scheduleId)
+
+    if (!schedule) {
+        return response(res, 404, false, 'Schedule not found.')
+    }
+
+    response(res, 200, true, '', schedule)
+}
+
+const create = (req, res) => {
+    const { message, cron, timezone, catchUp } = req.body
+    const isGroup = req.body.isGroup ?? false
+    const receiver = isGroup ? formatGroup(req.body.receiver) : formatPhone(req.body.receiver)
+    const sendAt = req.body.sendAt ? new Date(req.body.sendAt).getTime() : null
+
+    if (!sendAt && !cron) {
+        return response(res, 400, false, 'A schedule needs a sendAt or a cron.')
+    }
+
+    const error = scheduleError({ message, sendAt, cron, timezone })
+
+    if (error) {
+        return response(res, 400, false, error)
+    }
+
+    const schedule = createSchedule(res.locals.sessionId, {
+        receiver,
+        isGroup,
+        message,
+        sendAt,
+        cron: cron ?? null,
+        timezone,
+        catchUp,
+    })
+
+    wakeScheduler()
+    response(res, 201, true, 'The message has been scheduled.', schedule)
+}
+
+const update = (req, res) => {
+    const { sessionId } = res.locals
+    const schedule = findSchedule(sessionId, req.params.scheduleId)
+
+    if (!schedule) {
+        return response(res, 404, false, 'Schedule not found.')
+    }
+
+    const changes = Object.fromEntries(
+        EDITABLE_FIELDS.filter((field) => {
+            return req.body[field] !== undefined
+        }).map((field) => {
+            return [field, req.body[field]]
+        }),
+    )
+
+    // Switching between one-time and recurring clears the other timing
+    if (changes.sendAt) {
+        changes.sendAt = new Date(changes.sendAt).getTime()
+        changes.cron = changes.cron ?? null
+    } else if (changes.cron) {
+        changes.sendAt = null
+    }
+
+    const error = scheduleError({ ...changes, timezone: changes.timezone ?? schedule.timezone })
+
+    if (error) {
+        return response(res, 400, false, error)
+    }
+
+    const updated = updateSchedule(sessionId, schedule.id, changes)
+
+    wakeScheduler()
+    response(res, 200, true, 'The schedule has been updated.', updated)
+}
+
+const remove = (req, res) => {
+    const schedule = removeSchedule(res.locals.sessionId, req.params.scheduleId)
+
+    if (!schedule) {
+        return response(res, 404, false, 'Schedule not found.')
+    }
+
+    wakeScheduler()
+    response(res, 200, true, 'The schedule has been deleted.')
+}
+
+export { list, find, create, update, remove }
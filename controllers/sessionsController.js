@@ -1,4 +1,22 @@
-import { isSessionExists, createSession, getSession, getListSessions, deleteSession } from './../whatsapp.js'
+import { toBuffer, toDataURL } from 'qrcode'
+import {
+    isSessionExists,
+    createSession,
+    getSession,
+    deleteSession,
+    getLinkingState,
+    requestPairingCode,
+    getSessionStatus,
+    isSessionStopped,
+    stopSession,
+    startSession,
+    exportSession,
+    importSession,
+} from './../whatsapp.js'
+import { getSessionInfo, listSessionInfo, registerSession, updateSessionInfo } from './../store/session-registry.js'
+import { subscribeEvents } from './../utils/events.js'
+import { canAccessSession } from './../middlewares/authorizationValidator.js'
+import { sealArchive, openArchive } from './../utils/session-archive.js'
 import response from './../response.js'
 
 const find = (req, res) => {
@@ -6,18 +24,11 @@ const find = (req, res) => {
 }
 
 const status = (req, res) => {
-    const states = ['connecting', 'connected', 'disconnecting', 'disconnected']
-
-    const session = getSession(res.locals.sessionId)
-    let state = states[session.ws?.socket?.readyState]
-
-    state = state === 'connected' && typeof session.user !== 'undefined' ? 'authenticated' : state
-
-    response(res, 200, true, '', { status: state })
+    response(res, 200, true, '', { status: getSessionStatus(res.locals.sessionId) })
 }
 
 const add = (req, res) => {
-    const { id, typeAuth, phoneNumber } = req.body
+    const { id, typeAuth, phoneNumber, tags, owner, metadata } = req.body
 
     if (isSessionExists(id)) {
         return response(res, 409, false, 'Session already exists, please use another id.')
@@ -33,6 +44,7 @@ const add = (req, res) => {
         return response(res, 400, false, 'phoneNumber is required.')
     }
 
+    registerSession(id, { tags, owner, metadata })
     createSession(id, res, { usePairingCode, phoneNumber })
 }
 
@@ -52,7 +64,274 @@ const del = async (req, res) => {
 }
 
 const list = (req, res) => {
-    response(res, 200, true, 'Session list', getListSessions())
+    const { tag, owner, status, phoneNumber, page = 1, limit = 50 } = req.query
+    const tags = tag ? String(tag).split(',') : []
+
+    const sessions = listSessionInfo()
+        .map((info) => {
+            return { ...info, status: getSessionStatus(info.id) }
+        })
+        .filter((info) => {
+            return (
+                canAccessSession(res.locals.apiKey, info.id) &&
+                tags.every((item) => {
+                    return info.tags.includes(item)
+                }) &&
+                (!owner || info.owner === owner) &&
+                (!status || info.status === status) &&
+                (!phoneNumber || info.phoneNumber === phoneNumber)
+            )
+        })
+        .sort((a, b) => {
+            return a.createdAt - b.createdAt
+        })
+
+    const offset = (parseInt(page) - 1) * parseInt(limit)
+
+    response(res, 200, true, 'Session list', {
+        sessions: sessions.slice(offset, offset + parseInt(limit)),
+        total: sessions.length,
+        page: parseInt(page),
+        limit: parseInt(limit),
+    })
+}
+
+const update = (req, res) => {
+    const { tags, owner, metadata } = req.body
+    const info = getSessionInfo(res.locals.sessionId)
+    const changes = {}
+
+    if (tags !== undefined) {
+        changes.tags = tags
+    }
+
+    if (owner !== undefined) {
+        changes.owner = owner
+    }
+
+    // Metadata is merged, a null value removes the key
+    if (metadata !== undefined) {
+        changes.metadata = Object.fromEntries(
+            Object.entries({ ...info?.metadata, ...metadata }).filter(([, value]) => {
+                return value !== null
+            }),
+        )
+    }
+
+    const updated = updateSessionInfo(res.locals.sessionId, changes) ?? registerSession(res.locals.sessionId, changes)
+
+    response(res, 200, true, 'The session has been successfully updated.', updated)
+}
+
+const qr = async (req, res) => {
+    const linking = getLinkingState(res.locals.sessionId)
+    const { format = 'dataurl' } = req.query
+
+    if (!linking) {
+        return response(res, 400, false, 'The session is not waiting to be linked.')
+    }
+
+    if (!linking.qr) {
+        return response(res, 404, false, 'The QR code is not available yet, please try again.')
+    }
+
+    try {
+        if (format === 'png') {
+            return res.type('png').send(await toBuffer(linking.qr))
+        }
+
+        const qrcode = format === 'raw' ? linking.qr : await toDataURL(linking.qr)
+
+        response(res, 200, true, '', { qrcode, updatedAt: linking.updatedAt, expiresAt: linking.expiresAt })
+    } catch {
+        response(res, 500, false, 'Unable to create QR code.')
+    }
+}
+
+const qrStream = (req, res) => {
+    const { sessionId } = res.locals
+
+    if (!getLinkingState(sessionId)) {
+        return response(res, 400, false, 'The session is not waiting to be linked.')
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    })
+    res.flushHeaders()
+
+    const send = async (event, linking) => {
+        const data = { ...linking, qrcode: linking.qr ? await toDataURL(linking.qr) : null }
+
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    const close = (event) => {
+        res.write(`event: ${event}\ndata: {}\n\n`)
+        res.end()
+    }
+
+    const unsubscribe = subscribeEvents(
+        {
+            sessions: [sessionId],
+            types: ['QRCODE_UPDATED', 'PAIRING_CODE_UPDATED', 'LINKING_EXPIRED', 'CONNECTION_UPDATE'],
+        },
+        (event) => {
+            const linking = getLinkingState(sessionId)
+
+            if (event.type === 'LINKING_EXPIRED') {
+                return close('expired')
+            }
+
+            if (event.type === 'CONNECTION_UPDATE' && event.data.connection === 'open') {
+                return close('linked')
+            }
+
+            if (linking && event.type !== 'CONNECTION_UPDATE') {
+                send(event.type === 'QRCODE_UPDATED' ? 'qr' : 'code', linking).catch(() => {})
+            }
+        },
+    )
+
+    // Also ends the stream when the session is deleted while waiting
+    const keepAlive = setInterval(() => {
+        if (!isSessionExists(sessionId)) {
+            return close('deleted')
+        }
+
+        res.write(': ping\n\n')
+    }, 25000)
+
+    req.on('close', () => {
+        clearInterval(keepAlive)
+        unsubscribe()
+    })
+
+    const linking = getLinkingState(sessionId)
+
+    if (linking.qr || linking.pairingCode) {
+        send(linking.method === 'code' ? 'code' : 'qr', linking).catch(() => {})
+    }
+}
+
+const pairingCode = async (req, res) => {
+    if (!getLinkingState(res.locals.sessionId)) {
+        return response(res, 400, false, 'The session is not waiting to be linked.')
+    }
+
+    const { phoneNumber } = req.body
+
+    if (!phoneNumber && !getLinkingState(res.locals.sessionId).phoneNumber) {
+        return response(res, 400, false, 'phoneNumber is required.')
+    }
+
+    try {
+        const code = await requestPairingCode(res.locals.sessionId, phoneNumber)
+
+        response(res, 200, true, 'Verify on your phone and enter the provided code.', { code })
+    } catch {
+        response(res, 500, false, 'Unable to request a pairing code.')
+    }
+}
+
+const stop = async (req, res) => {
+    if (isSessionStopped(res.locals.sessionId)) {
+        return response(res, 400, false, 'The session is already stopped.')
+    }
+
+    try {
+        await stopSession(res.locals.sessionId)
+
+        response(res, 200, true, 'The session has been successfully stopped.')
+    } catch {
+        response(res, 500, false, 'Failed to stop the session.')
+    }
+}
+
+const start = async (req, res) => {
+    if (!isSessionStopped(res.locals.sessionId)) {
+        return response(res, 400, false, 'The session is already running.')
+    }
+
+    try {
+        await startSession(res.locals.sessionId)
+
+        response(res, 200, true, 'The session has been successfully started.')
+    } catch {
+        response(res, 500, false, 'Failed to start the session.')
+    }
+}
+
+const restart = async (req, res) => {
+    try {
+        if (!isSessionStopped(res.locals.sessionId)) {
+            await stopSession(res.locals.sessionId)
+        }
+
+        await startSession(res.locals.sessionId)
+
+        response(res, 200, true, 'The session has been successfully restarted.')
+    } catch {
+        response(res, 500, false, 'Failed to restart the session.')
+    }
 }
 
-export { find, status, add, del, list }
+const exportArchive = async (req, res) => {
+    try {
+        const archive = await sealArchive(await exportSession(res.locals.sessionId), req.body.passphrase)
+
+        res.attachment(`${res.locals.sessionId}.session`).type('application/octet-stream').send(archive)
+    } catch {
+        response(res, 500, false, 'Failed to export the session.')
+    }
+}
+
+const importArchive = async (req, res) => {
+    const { id } = req.params
+
+    if (isSessionExists(id)) {
+        return response(res, 409, false, 'Session already exists, please use another id.')
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return response(res, 400, false, 'The archive must be sent as an application/octet-stream body.')
+    }
+
+    let payload
+
+    try {
+        payload = await openArchive(req.body, req.get('x-archive-passphrase'))
+    } catch (error) {
+        return response(res, 400, false, error.message)
+    }
+
+    try {
+        await importSession(id, payload)
+
+        response(res, 200, true, 'The session has been successfully imported.')
+    } catch {
+        deleteSession(id)
+
+        response(res, 500, false, 'Failed to import the session.')
+    }
+}
+
+export {
+    find,
+    status,
+    add,
+    del,
+    list,
+    update,
+    stop,
+    start,
+    restart,
+    exportArchive,
+    importArchive,
+    qr,
+    qrStream,
+    pairingCode,
+}
@@ -0,0 +1,27 @@
+import { getLimiter } from './../utils/rate-limiter.js'
+import { canAccessSession } from './../middlewares/authorizationValidator.js'
+import response from './../response.js'
+
+// Keys only see their own usage and the sessions they are allowed to use
+const rateLimits = (req, res) => {
+    const { apiKey } = res.locals
+    const keys = getLimiter('key')
+    const sessions = getLimiter('session')
+
+    response(res, 200, true, '', {
+        keys: keys
+            .ids()
+            .filter((id) => {
+                return apiKey.superAdmin || id === apiKey.id
+            })
+            .map(keys.usage),
+        sessions: sessions
+            .ids()
+            .filter((id) => {
+                return canAccessSession(apiKey, id)
+            })
+            .map(sessions.usage),
+    })
+}
+
+export { rateLimits }
@@ -0,0 +1,78 @@
+import { listTemplates, findTemplate, saveTemplate, removeTemplate } from './../store/templates.js'
+import { mediaMessageError } from './../utils/functions.js'
+import { templateVariables } from './../utils/template.js'
+import response from './../response.js'
+
+// Lists the placeholders so clients know which variables to send
+const withVariables = (template) => {
+    return { ...template, variables: templateVariables(template.message) }
+}
+
+// A media url holding placeholders is only known once the template is rendered, it is checked by the send
+const messageError = (message) => {
+    return templateVariables(message).length > 0 ? null : mediaMessageError(message)
+}
+
+const list = (req, res) => {
+    response(res, 200, true, '', listTemplates(res.locals.sessionId).map(withVariables))
+}
+
+const find = (req, res) => {
+    const template = findTemplate(res.locals.sessionId, req.params.name)
+
+    if (!template) {
+        return response(res, 404, false, 'Template not found.')
+    }
+
+    response(res, 200, true, '', withVariables(template))
+}
+
+const create = (req, res) => {
+    const { sessionId } = res.locals
+    const { name, message } = req.body
+
+    if (findTemplate(sessionId, name)) {
+        return response(res, 409, false, 'A template with this name already exists.')
+    }
+
+    const error = messageError(message)
+
+    if (error) {
+        return response(res, 400, false, error)
+    }
+
+    response(res, 201, true, 'The template has been created.', withVariables(saveTemplate(sessionId, name, message)))
+}
+
+const update = (req, res) => {
+    const { sessionId } = res.locals
+    const { name } = req.params
+
+    if (!findTemplate(sessionId, name)) {
+        return response(res, 404, false, 'Template not found.')
+    }
+
+    const error = messageError(req.body.message)
+
+    if (error) {
+        return response(res, 400, false, error)
+    }
+
+    response(
+        res,
+        200,
+        true,
+        'The template has been updated.',
+        withVariables(saveTemplate(sessionId, name, req.body.message)),
+    )
+}
+
+const remove = (req, res) => {
+    if (!removeTemplate(res.locals.sessionId, req.params.name)) {
+        return response(res, 404, false, 'Template not found.')
+    }
+
+    response(res, 200, true, 'The template has been deleted.')
+}
+
+export { list, find, create, update, remove }
@@ -0,0 +1,122 @@
+import { getWebhooks, findWebhook, addWebhook, updateWebhook, removeWebhook } from './../store/webhooks-store.js'
+import { findDelivery, filterDeliveries } from './../store/webhook-log.js'
+import { getDeadLetters, deliveryPayload, replayDelivery } from './../utils/webhook-delivery.js'
+import response from './../response.js'
+
+// The signing secret is write-only, responses only tell whether one is set
+const serialize = ({ secret, ...webhook }) => {
+    return { ...webhook, hasSecret: Boolean(secret) }
+}
+
+const list = (req, res) => {
+    response(res, 200, true, '', getWebhooks(res.locals.sessionId).map(serialize))
+}
+
+const create = (req, res) => {
+    const { url, events, headers, secret, enabled } = req.body
+
+    const webhook = addWebhook(res.locals.sessionId, { url, events, headers, secret, enabled })
+
+    response(res, 200, true, 'The webhook has been successfully created.', serialize(webhook))
+}
+
+const update = (req, res) => {
+    const { url, events, headers, secret, enabled } = req.body
+    const changes = Object.fromEntries(
+        Object.entries({ url, events, headers, secret, enabled }).filter(([, value]) => {
+            return value !== undefined
+        }),
+    )
+
+    const webhook = updateWebhook(res.locals.sessionId, req.params.webhookId, changes)
+
+    if (!webhook) {
+        return response(res, 404, false, 'Webhook not found.')
+    }
+
+    response(res, 200, true, 'The webhook has been successfully updated.', serialize(webhook))
+}
+
+const remove = (req, res) => {
+    if (!removeWebhook(res.locals.sessionId, req.params.webhookId)) {
+        return response(res, 404, false, 'Webhook not found.')
+    }
+
+    response(res, 200, true, 'The webhook has been successfully deleted.')
+}
+
+const deadLetters = (req, res) => {
+    response(res, 200, true, '', getDeadLetters(res.locals.sessionId))
+}
+
+const deliveries = (req, res) => {
+    const { status, type, webhookId, from, to, limit = 50, offset = 0 } = req.query
+
+    const entries = filterDeliveries(res.locals.sessionId, { status, type, webhookId, from, to })
+        .reverse()
+        .slice(parseInt(offset), parseInt(offset) + parseInt(limit))
+
+    response(res, 200, true, '', entries)
+}
+
+const findDeliveryLog = async (req, res) => {
+    const entry = findDelivery(res.locals.sessionId, req.params.deliveryId)
+
+    if (!entry) {
+        return response(res, 404, false, 'Delivery not found.')
+    }
+
+    response(res, 200, true, '', { ...entry, payload: await deliveryPayload(entry) })
+}
+
+// The headers and secret the webhook has now, the log only keeps redacted headers
+const replayTarget = (sessionId, webhookId) => {
+    const webhook = webhookId ? findWebhook(sessionId, webhookId) : null
+
+    return {
+        headers: webhook?.headers ?? {},
+        secret: webhook?.secret || process.env.APP_WEBHOOK_SECRET || null,
+    }
+}
+
+const replay = async (req, res) => {
+    const entry = findDelivery(res.locals.sessionId, req.params.deliveryId)
+
+    if (!entry) {
+        return response(res, 404, false, 'Delivery not found.')
+    }
+
+    const payload = await deliveryPayload(entry)
+
+    if (!payload) {
+        return response(res, 410, false, 'The event of this delivery is no longer in the event journal.')
+    }
+
+    const delivery = replayDelivery(entry, payload, replayTarget(entry.sessionId, entry.webhookId))
+
+    response(res, 200, true, 'The delivery has been queued for replay.', { id: delivery.id })
+}
+
+const replayFailed = async (req, res) => {
+    const { from, to, type, webhookId } = req.body
+
+    const replayed = []
+    const expired = []
+
+    for (const entry of filterDeliveries(res.locals.sessionId, { status: 'failed', type, webhookId, from, to })) {
+        const payload = entry.replayedBy ? null : await deliveryPayload(entry)
+
+        if (payload) {
+            replayed.push(replayDelivery(entry, payload, replayTarget(entry.sessionId, entry.webhookId)).id)
+        } else if (!entry.replayedBy) {
+            expired.push(entry.id)
+        }
+    }
+
+    response(res, 200, true, `${replayed.length} failed deliveries have been queued for replay.`, {
+        ids: replayed,
+        expired,
+    })
+}
+
+export { list, create, update, remove, deadLetters, deliveries, findDeliveryLog, replay, replayFailed }
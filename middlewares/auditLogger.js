@@ -0,0 +1,58 @@
+import { appendAudit } from './../store/audit-log.js'
+
+const DETAIL_FIELDS = ['action', 'participants', 'isBlock', 'isGroup']
+
+const bodyOf = (req) => {
+    return req.body && typeof req.body === 'object' && !Array.isArray(req.body) && !Buffer.isBuffer(req.body)
+        ? req.body
+        : {}
+}
+
+// Only the fields telling what was done are kept, not the messages themselves
+const detailsOf = (body) => {
+    const details = Object.fromEntries(
+        DETAIL_FIELDS.filter((field) => {
+            return body[field] !== undefined
+        }).map((field) => {
+            return [field, body[field]]
+        }),
+    )
+
+    return Object.keys(details).length > 0 ? details : null
+}
+
+/**
+ * Records the requests that change something once they are answered, or once the client went away
+ * before the answer since the change may have been made all the same. Reads are told apart by the
+ * scope their route is authorized with, a few of them are POST routes.
+ */
+const validate = (req, res, next) => {
+    res.on('close', () => {
+        const { apiKey, scope } = res.locals
+
+        if (!req.route || !scope || req.method === 'GET' || scope.endsWith(':read')) {
+            return
+        }
+
+        const body = bodyOf(req)
+
+        appendAudit({
+            timestamp: Date.now(),
+            key: { id: apiKey.id, name: apiKey.name },
+            action: `${req.method} ${req.baseUrl}${req.route.path}`,
+            sessionId: req.query.id ?? req.params.id ?? body.id ?? null,
+            target: req.params.jid ?? body.receiver ?? body.jid ?? body.remoteJid ?? null,
+            details: detailsOf(body),
+            // Without an answer sent, the outcome is not known
+            result: {
+                statusCode: res.headersSent ? res.statusCode : null,
+                success: res.writableFinished && res.statusCode < 400,
+                aborted: !res.writableFinished,
+            },
+        })
+    })
+
+    next()
+}
+
+export default validate
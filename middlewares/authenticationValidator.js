@@ -1,17 +1,39 @@
+import { createHash, timingSafeEqual } from 'crypto'
+import { findApiKey } from './../store/api-keys.js'
 import response from './../response.js'
 
-const validate = (req, res, next) => {
-    const apiKey = req.get('apikey') ?? req.query.apikey
+// The global token, or every request while it is not configured, acts as a super-admin key
+const SUPER_ADMIN = { id: 'global', name: 'global', sessions: ['*'], scopes: ['*'], superAdmin: true }
+
+const isGlobalToken = (apiKey) => {
+    const digest = (value) => {
+        return createHash('sha256').update(String(value)).digest()
+    }
+
+    return Boolean(apiKey) && timingSafeEqual(digest(apiKey), digest(process.env.AUTHENTICATION_GLOBAL_AUTH_TOKEN))
+}
 
-    if (!process.env.AUTHENTICATION_GLOBAL_AUTH_TOKEN) {
-        return next()
+/**
+ * Resolves the key a request is made with, null when it is unknown or revoked.
+ */
+const authenticate = (apiKey) => {
+    if (!process.env.AUTHENTICATION_GLOBAL_AUTH_TOKEN || isGlobalToken(apiKey)) {
+        return SUPER_ADMIN
     }
 
-    if (apiKey !== process.env.AUTHENTICATION_GLOBAL_AUTH_TOKEN) {
+    return findApiKey(apiKey)
+}
+
+const validate = (req, res, next) => {
+    const apiKey = authenticate(req.get('apikey') ?? req.query.apikey)
+
+    if (!apiKey) {
         return response(res, 401, false, 'Authentication failed.')
     }
 
+    res.locals.apiKey = apiKey
     next()
 }
 
 export default validate
+export { authenticate }
@@ -0,0 +1,40 @@
+import response from './../response.js'
+
+const hasScope = (apiKey, scope) => {
+    if (apiKey.superAdmin) {
+        return true
+    }
+
+    // Managing the keys themselves is kept for the super-admin, `*` does not include it
+    return scope !== 'admin' && (apiKey.scopes.includes('*') || apiKey.scopes.includes(scope))
+}
+
+const canAccessSession = (apiKey, sessionId) => {
+    return apiKey.sessions.includes('*') || apiKey.sessions.includes(sessionId)
+}
+
+/**
+ * Only lets through keys holding the scope, and allowed on the session the request targets if any.
+ */
+const authorize = (scope) => {
+    return (req, res, next) => {
+        const { apiKey } = res.locals
+        const sessionId = req.query.id ?? req.params.id ?? req.body?.id
+
+        // Also tells the audit log whether the route only reads
+        res.locals.scope = scope
+
+        if (!hasScope(apiKey, scope)) {
+            return response(res, 403, false, `This API key is missing the ${scope} scope.`)
+        }
+
+        if (sessionId && !canAccessSession(apiKey, sessionId)) {
+            return response(res, 403, false, 'This API key is not allowed to use this session.')
+        }
+
+        next()
+    }
+}
+
+export default authorize
+export { hasScope, canAccessSession }
@@ -0,0 +1,85 @@
+import { createHash } from 'crypto'
+import { findIdempotentResult, saveIdempotentResult } from './../store/idempotency-keys.js'
+import response from './../response.js'
+
+const MAX_KEY_LENGTH = 255
+
+// Requests still being answered, a retry arriving meanwhile must not run them a second time
+const pending = new Set()
+
+const fingerprintOf = (req) => {
+    return createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body ?? null)}`)
+        .digest('hex')
+}
+
+// Only successful answers are kept, the retry of a failed request runs it again
+const isFinal = (statusCode) => {
+    return statusCode >= 200 && statusCode < 300
+}
+
+/**
+ * Answers a POST request repeating the `Idempotency-Key` of an earlier one with the answer the earlier
+ * one got, without running it again. Keys belong to the API key and the session they were used with.
+ */
+const validate = (req, res, next) => {
+    const key = req.get('Idempotency-Key')
+
+    if (req.method !== 'POST' || key === undefined) {
+        return next()
+    }
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        return response(res, 400, false, `The Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters long.`)
+    }
+
+    // A multipart body is only read by the route, a retry with another file could not be told apart
+    if (req.is('multipart/form-data')) {
+        return response(res, 400, false, 'The Idempotency-Key cannot be used with a multipart body.')
+    }
+
+    const scope = { apiKeyId: res.locals.apiKey.id, sessionId: req.query.id ?? null, key }
+    const pendingId = JSON.stringify(scope)
+    const fingerprint = fingerprintOf(req)
+    const stored = findIdempotentResult(scope)
+
+    if (stored) {
+        if (stored.fingerprint !== fingerprint) {
+            return response(res, 422, false, 'The Idempotency-Key was already used for another request.')
+        }
+
+        const { success, message, data } = stored.body
+
+        res.set('Idempotent-Replayed', 'true')
+
+        return response(res, stored.statusCode, success, message, data)
+    }
+
+    if (pending.has(pendingId)) {
+        return response(res, 409, false, 'A request with this Idempotency-Key is still being processed.')
+    }
+
+    pending.add(pendingId)
+
+    // Kept as soon as the route answers, the client that timed out may be gone by then
+    const json = res.json.bind(res)
+
+    res.json = (body) => {
+        if (req.route && isFinal(res.statusCode)) {
+            saveIdempotentResult(scope, { fingerprint, statusCode: res.statusCode, body })
+        }
+
+        pending.delete(pendingId)
+
+        return json(body)
+    }
+
+    // Also when the client went away before the answer, the key must not stay taken
+    res.on('close', () => {
+        pending.delete(pendingId)
+    })
+
+    next()
+}
+
+export default validate
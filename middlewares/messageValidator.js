@@ -0,0 +1,168 @@
+import { body } from 'express-validator'
+import { MESSAGE_TYPES } from './../utils/message-types.js'
+
+const isType = (type) => {
+    return body('type').equals(type)
+}
+
+const coordinateValidators = (field) => {
+    return [
+        body(`${field}.latitude`)
+            .if(isType(field))
+            .isFloat({ min: -90, max: 90 })
+            .withMessage(`${field}.latitude must be a number between -90 and 90.`),
+        body(`${field}.longitude`)
+            .if(isType(field))
+            .isFloat({ min: -180, max: 180 })
+            .withMessage(`${field}.longitude must be a number between -180 and 180.`),
+    ]
+}
+
+// A typed message is held by the field its `type` names: `{ "type": "poll", "poll": { ... } }`
+const typeValidators = [
+    body('type')
+        .optional()
+        .isIn(MESSAGE_TYPES)
+        .withMessage(`type must be one of ${MESSAGE_TYPES.join(', ')}.`),
+
+    body('poll.name').if(isType('poll')).isString().trim().notEmpty().withMessage('poll.name is required.'),
+    body('poll.options')
+        .if(isType('poll'))
+        .isArray({ min: 2, max: 12 })
+        .withMessage('poll.options must hold 2 to 12 options.')
+        .bail()
+        .custom((options) => {
+            return new Set(options).size === options.length
+        })
+        .withMessage('poll.options must not repeat an option.'),
+    body('poll.options.*')
+        .if(isType('poll'))
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Each of poll.options must be a non-empty text.'),
+    body('poll.selectableCount')
+        .if(isType('poll'))
+        .optional()
+        .isInt({ min: 0 })
+        .custom((value, { req }) => {
+            return Number(value) <= (req.body.poll.options?.length ?? 0)
+        })
+        .withMessage('poll.selectableCount must be between 0, for any number, and the number of options.'),
+
+    coordinateValidators('location'),
+    body('location.name').if(isType('location')).optional().isString().withMessage('location.name must be a text.'),
+    body('location.address')
+        .if(isType('location'))
+        .optional()
+        .isString()
+        .withMessage('location.address must be a text.'),
+
+    body('contact.fullName')
+        .if(isType('contact'))
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('contact.fullName is required.'),
+    body('contact.phoneNumber')
+        .if(isType('contact'))
+        .isString()
+        .matches(/^\+?[\d\s().-]{5,}$/)
+        .withMessage('contact.phoneNumber must be a phone number.'),
+    body('contact.organization')
+        .if(isType('contact'))
+        .optional()
+        .isString()
+        .withMessage('contact.organization must be a text.'),
+    body('contact.email')
+        .if(isType('contact'))
+        .optional()
+        .isEmail()
+        .withMessage('contact.email must be an email address.'),
+
+    body('reaction.messageId')
+        .if(isType('reaction'))
+        .isString()
+        .notEmpty()
+        .withMessage('reaction.messageId is required.'),
+    body('reaction.emoji')
+        .if(isType('reaction'))
+        .isString()
+        .isLength({ max: 16 })
+        .withMessage('reaction.emoji must be an emoji, or empty to remove the reaction.'),
+    body('reaction.fromMe')
+        .if(isType('reaction'))
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('reaction.fromMe must be a boolean.'),
+    body('reaction.participant')
+        .if(isType('reaction'))
+        .optional()
+        .isString()
+        .withMessage('reaction.participant must be a phone number.'),
+
+    coordinateValidators('liveLocation'),
+    body('liveLocation.accuracy')
+        .if(isType('liveLocation'))
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('liveLocation.accuracy must be a number of meters.'),
+    body('liveLocation.speed')
+        .if(isType('liveLocation'))
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('liveLocation.speed must be a number of meters per second.'),
+    body('liveLocation.bearing')
+        .if(isType('liveLocation'))
+        .optional()
+        .isInt({ min: 0, max: 359 })
+        .withMessage('liveLocation.bearing must be a number of degrees between 0 and 359.'),
+    body('liveLocation.caption')
+        .if(isType('liveLocation'))
+        .optional()
+        .isString()
+        .withMessage('liveLocation.caption must be a text.'),
+    body('liveLocation.sequence')
+        .if(isType('liveLocation'))
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('liveLocation.sequence must be a positive number.'),
+]
+
+// Quoting a message of the chat and mentioning people, mentions are written in a text or a caption
+const replyValidators = [
+    body('quotedMessageId').optional().isString().notEmpty().withMessage('quotedMessageId must be a message ID.'),
+    body('mentions')
+        .optional()
+        .isArray()
+        .withMessage('mentions must be a list of phone numbers or JIDs.')
+        .bail()
+        .if(body('type').exists())
+        .isEmpty()
+        .withMessage('mentions cannot be used with a typed message.'),
+    body('mentions.*').isString().notEmpty().withMessage('Each of mentions must be a phone number or a JID.'),
+    body('mentionAll')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('mentionAll must be a boolean.')
+        .bail()
+        .if(body('type').exists())
+        .not()
+        .equals('true')
+        .withMessage('mentionAll cannot be used with a typed message.'),
+]
+
+// A raw `message`, a typed message, or the name of a stored `template` and the values of its placeholders
+const messageValidator = [
+    body('message')
+        .if(body('template').not().exists())
+        .if(body('type').not().exists())
+        .notEmpty()
+        .withMessage('message is required.'),
+    body('template').optional().isString().notEmpty(),
+    body('variables').optional().isObject(),
+    typeValidators,
+    replyValidators,
+]
+
+export default messageValidator
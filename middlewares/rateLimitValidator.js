@@ -0,0 +1,57 @@
+import { getLimiter } from './../utils/rate-limiter.js'
+import { countPending } from './../store/outbound-queue.js'
+import { rateLimited } from './../response.js'
+
+/**
+ * Limits the requests of each API key, the limits are set with `APP_RATE_LIMIT_KEY_*`.
+ */
+const validate = (req, res, next) => {
+    const result = getLimiter('key').consume(res.locals.apiKey.id)
+
+    if (!result.allowed) {
+        return rateLimited(res, result.retryAfter, 'Too many requests for this API key, please try again later.')
+    }
+
+    next()
+}
+
+/**
+ * Rejects messages beyond the daily cap of the session (`APP_RATE_LIMIT_SESSION_DAILY_CAP`), counting
+ * the ones still queued. The token bucket of the session paces the outbound queue instead.
+ */
+const queueRateLimit = (req, res, next) => {
+    const { dailyUsed, dailyCap, resetsAt } = getLimiter('session').usage(res.locals.sessionId)
+    const count = Array.isArray(req.body) ? req.body.length : 1
+
+    if (dailyCap > 0 && dailyUsed + countPending(res.locals.sessionId) + count > dailyCap) {
+        return rateLimited(
+            res,
+            Math.ceil((resetsAt - Date.now()) / 1000),
+            'The daily message limit of this session has been reached.',
+        )
+    }
+
+    next()
+}
+
+/**
+ * Limits the messages the session of the request sends right away, the limits are set with `APP_RATE_LIMIT_SESSION_*`.
+ */
+const messageRateLimit = (req, res, next) => {
+    const result = getLimiter('session').consume(res.locals.sessionId)
+
+    if (!result.allowed) {
+        return rateLimited(
+            res,
+            result.retryAfter,
+            result.reason === 'daily'
+                ? 'The daily message limit of this session has been reached.'
+                : 'This session is sending too many messages, please try again later.',
+        )
+    }
+
+    next()
+}
+
+export default validate
+export { messageRateLimit, queueRateLimit }
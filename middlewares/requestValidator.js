@@ -5,7 +5,12 @@ const validate = (req, res, next) => {
     const errors = validationResult(req)
 
     if (!errors.isEmpty()) {
-        return response(res, 400, false, 'Please fill out all required input.')
+        // Validators given a message name the field and the problem
+        const fields = errors.array().map(({ path, msg }) => {
+            return { field: path, message: msg }
+        })
+
+        return response(res, 400, false, 'Please fill out all required input.', { errors: fields })
     }
 
     next()
@@ -0,0 +1,76 @@
+import { readMultipart, decodeBase64Media, removeUploads } from './../utils/upload.js'
+import { findMedia } from './../store/media-library.js'
+import response from './../response.js'
+
+// A `mediaId` must name a media of the library of the session
+const checkMediaId = (req, message) => {
+    const sessionId = req.query.id ?? req.params.id
+
+    if (message?.mediaId && !findMedia(sessionId, message.mediaId)) {
+        const error = new Error('Media not found.')
+
+        error.statusCode = 404
+        throw error
+    }
+}
+
+/**
+ * Saves the media of a send to the upload area, from a `multipart/form-data` body or from the
+ * `base64` of a JSON message. The saved files are in `res.locals.uploads`, they are
+ * removed again unless the message was queued.
+ */
+const parseUpload = async (req, res, next) => {
+    res.locals.uploads = []
+
+    res.on('close', () => {
+        if (res.statusCode !== 202) {
+            removeUploads(res.locals.uploads)
+        }
+    })
+
+    try {
+        if (req.is('multipart/form-data')) {
+            req.body = await readMultipart(req, res.locals.uploads)
+        } else if (req.body?.message) {
+            req.body.message = await decodeBase64Media(req.body.message, res.locals.uploads)
+        }
+
+        checkMediaId(req, req.body?.message)
+    } catch (error) {
+        return response(res, error.statusCode ?? 400, false, error.message ?? 'Failed to read the upload.')
+    }
+
+    next()
+}
+
+/**
+ * The same for the bulk sends, each message is saved on its own. `res.locals.uploads` holds the files
+ * saved for each item, by its index in the body.
+ */
+const parseBulkUpload = async (req, res, next) => {
+    res.locals.uploads = []
+
+    res.on('close', () => {
+        if (res.statusCode !== 202) {
+            res.locals.uploads.forEach(removeUploads)
+        }
+    })
+
+    try {
+        for (const [key, data] of (Array.isArray(req.body) ? req.body : []).entries()) {
+            // Items without a receiver are not queued, their media is left alone
+            if (data?.receiver && data.message) {
+                checkMediaId(req, data.message)
+                res.locals.uploads[key] = []
+                data.message = await decodeBase64Media(data.message, res.locals.uploads[key])
+            }
+        }
+    } catch (error) {
+        return response(res, error.statusCode ?? 400, false, error.message ?? 'Failed to read the upload.')
+    }
+
+    next()
+}
+
+export default parseUpload
+export { parseBulkUpload }
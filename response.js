@@ -9,4 +9,10 @@ const response = (res, statusCode = 200, success = false, message = '', data = {
     res.end()
 }
 
+const rateLimited = (res, retryAfter, message = 'Too many requests, please try again later.') => {
+    res.set('Retry-After', String(retryAfter))
+    response(res, 429, false, message, { retryAfter })
+}
+
 export default response
+export { rateLimited }
@@ -3,18 +3,30 @@ import sessionsRoute from './routes/sessionsRoute.js'
 import chatsRoute from './routes/chatsRoute.js'
 import groupsRoute from './routes/groupsRoute.js'
 import miscRoute from './routes/miscRoute.js'
+import eventsRoute from './routes/eventsRoute.js'
+import keysRoute from './routes/keysRoute.js'
+import statsRoute from './routes/statsRoute.js'
+import auditRoute from './routes/auditRoute.js'
 import response from './response.js'
 import authenticationValidator from './middlewares/authenticationValidator.js'
+import rateLimitValidator from './middlewares/rateLimitValidator.js'
+import auditLogger from './middlewares/auditLogger.js'
+import idempotencyValidator from './middlewares/idempotencyValidator.js'
 
 const router = Router()
 
 // Use auth middleware for all routes
 router.use(authenticationValidator)
+router.use(rateLimitValidator)
 
-router.use('/sessions', sessionsRoute)
-router.use('/chats', chatsRoute)
-router.use('/groups', groupsRoute)
-router.use('/misc', miscRoute)
+router.use('/sessions', auditLogger, sessionsRoute)
+router.use('/chats', auditLogger, idempotencyValidator, chatsRoute)
+router.use('/groups', auditLogger, idempotencyValidator, groupsRoute)
+router.use('/misc', auditLogger, idempotencyValidator, miscRoute)
+router.use('/events', eventsRoute)
+router.use('/keys', auditLogger, keysRoute)
+router.use('/stats', statsRoute)
+router.use('/audit', auditRoute)
 
 router.use((req, res) => {
   response(res, 404, false, 'The requested url cannot be found.')
@@ -0,0 +1,18 @@
+import { Router } from 'express'
+import { query } from 'express-validator'
+import requestValidator from './../middlewares/requestValidator.js'
+import authorize from './../middlewares/authorizationValidator.js'
+import * as controller from './../controllers/auditController.js'
+
+const router = Router()
+
+router.get(
+    '/',
+    authorize('admin'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }),
+    query('offset').optional().isInt({ min: 0 }),
+    requestValidator,
+    controller.list,
+)
+
+export default router
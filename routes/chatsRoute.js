@@ -2,17 +2,29 @@ import { Router } from 'express'
 import { body, query } from 'express-validator'
 import requestValidator from './../middlewares/requestValidator.js'
 import sessionValidator from './../middlewares/sessionValidator.js'
+import messageValidator from './../middlewares/messageValidator.js'
+import parseUpload, { parseBulkUpload } from './../middlewares/uploadParser.js'
+import authorize from './../middlewares/authorizationValidator.js'
+import { messageRateLimit, queueRateLimit } from './../middlewares/rateLimitValidator.js'
 import * as controller from './../controllers/chatsController.js'
 import getMessages from './../controllers/getMessages.js'
 
 const router = Router()
 
-router.get('/', query('id').notEmpty(), requestValidator, sessionValidator, controller.getList)
+router.get(
+    '/',
+    authorize('messages:read'),
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    controller.getList
+)
 
-router.get('/:jid', query('id').notEmpty(), requestValidator, sessionValidator, getMessages)
+router.get('/:jid', authorize('messages:read'), query('id').notEmpty(), requestValidator, sessionValidator, getMessages)
 
 router.post(
     '/delete',
+    authorize('messages:send'),
     query('id').notEmpty(),
     body('receiver').notEmpty(),
     body('message').notEmpty(),
@@ -23,29 +35,44 @@ router.post(
 
 router.post(
     '/send',
+    authorize('messages:send'),
+    parseUpload,
     query('id').notEmpty(),
     body('receiver').notEmpty(),
-    body('message').notEmpty(),
+    messageValidator,
     requestValidator,
     sessionValidator,
+    queueRateLimit,
     controller.send
 )
 
-router.post('/send-bulk', query('id').notEmpty(), requestValidator, sessionValidator, controller.sendBulk)
+router.post(
+    '/send-bulk',
+    authorize('messages:send'),
+    parseBulkUpload,
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    queueRateLimit,
+    controller.sendBulk
+)
 
 router.post(
     '/forward',
+    authorize('messages:send'),
     query('id').notEmpty(),
     body('forward').notEmpty(),
     body('receiver').notEmpty(),
     body('isGroup').notEmpty(),
     requestValidator,
     sessionValidator,
+    messageRateLimit,
     controller.forward
 )
 
 router.post(
     '/read',
+    authorize('messages:send'),
     query('id').notEmpty(),
     body('keys').notEmpty(),
     requestValidator,
@@ -55,6 +82,7 @@ router.post(
 
 router.post(
     '/send-presence',
+    authorize('messages:send'),
     query('id').notEmpty(),
     body('receiver').notEmpty(),
     body('presence').notEmpty(),
@@ -65,6 +93,7 @@ router.post(
 
 router.post(
     '/download-media',
+    authorize('messages:read'),
     query('id').notEmpty(),
     body('remoteJid').notEmpty(),
     body('messageId').notEmpty(),
@@ -73,4 +102,47 @@ router.post(
     controller.downloadMedia
 )
 
+router.get(
+    '/:jid/messages/:messageId/status',
+    authorize('messages:read'),
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    controller.messageStatus
+)
+
+const messageAction = (path, validators, action) => {
+    router.post(
+        `/:jid/messages/:messageId/${path}`,
+        authorize('messages:send'),
+        query('id').notEmpty(),
+        body('isGroup').optional().isBoolean({ strict: true }),
+        validators,
+        requestValidator,
+        sessionValidator,
+        // Sent right away, but the messages waiting in the queue count against the daily cap all the same
+        queueRateLimit,
+        messageRateLimit,
+        action
+    )
+}
+
+messageAction('edit', [body('text').isString().notEmpty()], controller.edit)
+
+messageAction('react', [body('emoji').isString()], controller.react)
+
+messageAction(
+    'pin',
+    [
+        body('pin').optional().isBoolean({ strict: true }),
+        body('duration')
+            .optional()
+            .isIn([86400, 604800, 2592000])
+            .withMessage('duration must be 86400, 604800 or 2592000.')
+    ],
+    controller.pin
+)
+
+messageAction('star', [body('star').optional().isBoolean({ strict: true })], controller.star)
+
 export default router
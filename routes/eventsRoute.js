@@ -0,0 +1,9 @@
+import { Router } from 'express'
+import authorize from './../middlewares/authorizationValidator.js'
+import * as controller from './../controllers/eventsController.js'
+
+const router = Router()
+
+router.get('/stream', authorize('events:read'), controller.stream)
+
+export default router
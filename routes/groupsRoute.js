@@ -2,15 +2,27 @@ import { Router } from 'express'
 import { body, query } from 'express-validator'
 import requestValidator from './../middlewares/requestValidator.js'
 import sessionValidator from './../middlewares/sessionValidator.js'
+import messageValidator from './../middlewares/messageValidator.js'
+import parseUpload from './../middlewares/uploadParser.js'
+import authorize from './../middlewares/authorizationValidator.js'
+import { queueRateLimit } from './../middlewares/rateLimitValidator.js'
 import * as controller from './../controllers/groupsController.js'
 import getMessages from './../controllers/getMessages.js'
 
 const router = Router()
 
-router.get('/', query('id').notEmpty(), requestValidator, sessionValidator, controller.getList)
+router.get(
+    '/',
+    authorize('groups:read'),
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    controller.getList
+)
 
 router.post(
     '/create',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     body('groupName').notEmpty(),
     body('participants').notEmpty(),
@@ -21,20 +33,31 @@ router.post(
 
 router.post(
     '/send/:jid',
+    authorize('messages:send'),
+    parseUpload,
     query('id').notEmpty(),
     body('receiver').notEmpty(),
-    body('message').notEmpty(),
+    messageValidator,
     requestValidator,
     sessionValidator,
+    queueRateLimit,
     controller.send
 )
 
-router.get('/:jid', query('id').notEmpty(), requestValidator, sessionValidator, getMessages)
+router.get('/:jid', authorize('groups:read'), query('id').notEmpty(), requestValidator, sessionValidator, getMessages)
 
-router.get('/meta/:jid', query('id').notEmpty(), requestValidator, sessionValidator, controller.getGroupMetaData)
+router.get(
+    '/meta/:jid',
+    authorize('groups:read'),
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    controller.getGroupMetaData
+)
 
 router.post(
     '/participants-update/:jid',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     body('action').notEmpty(),
     body('participants').notEmpty(),
@@ -45,6 +68,7 @@ router.post(
 
 router.post(
     '/subject-update/:jid',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     body('subject').notEmpty(),
     requestValidator,
@@ -54,6 +78,7 @@ router.post(
 
 router.post(
     '/description-update/:jid',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     body('description').notEmpty(),
     requestValidator,
@@ -63,6 +88,7 @@ router.post(
 
 router.post(
     '/setting-update/:jid',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     body('settings').notEmpty(),
     requestValidator,
@@ -70,12 +96,27 @@ router.post(
     controller.groupSettingUpdate
 )
 
-router.post('/leave/:jid', query('id').notEmpty(), requestValidator, sessionValidator, controller.groupLeave)
+router.post(
+    '/leave/:jid',
+    authorize('groups:admin'),
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    controller.groupLeave
+)
 
-router.get('/invite-code/:jid', query('id').notEmpty(), requestValidator, sessionValidator, controller.groupInviteCode)
+router.get(
+    '/invite-code/:jid',
+    authorize('groups:read'),
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    controller.groupInviteCode
+)
 
 router.post(
     '/accept-invite',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     body('invite').notEmpty(),
     requestValidator,
@@ -85,6 +126,7 @@ router.post(
 
 router.post(
     '/revoke-code/:jid',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     requestValidator,
     sessionValidator,
@@ -93,6 +135,7 @@ router.post(
 
 router.post(
     '/profile-picture/:jid',
+    authorize('groups:admin'),
     query('id').notEmpty(),
     body('url').notEmpty(),
     requestValidator,
@@ -102,6 +145,7 @@ router.post(
 
 router.post(
     '/get-participants',
+    authorize('groups:read'),
     query('id').notEmpty(),
     requestValidator,
     sessionValidator,
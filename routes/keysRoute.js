@@ -0,0 +1,26 @@
+import { Router } from 'express'
+import { body } from 'express-validator'
+import requestValidator from './../middlewares/requestValidator.js'
+import authorize from './../middlewares/authorizationValidator.js'
+import { SCOPES } from './../store/api-keys.js'
+import * as controller from './../controllers/keysController.js'
+
+const router = Router()
+
+router.get('/', authorize('admin'), controller.list)
+
+router.post(
+    '/',
+    authorize('admin'),
+    body('name').optional({ values: 'null' }).isString(),
+    body('sessions').isArray({ min: 1 }),
+    body('sessions.*').isString().notEmpty(),
+    body('scopes').isArray({ min: 1 }),
+    body('scopes.*').isIn(['*', ...SCOPES]),
+    requestValidator,
+    controller.create,
+)
+
+router.delete('/:keyId', authorize('admin'), controller.revoke)
+
+export default router
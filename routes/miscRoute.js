@@ -2,12 +2,16 @@ import { Router } from 'express'
 import { body, query } from 'express-validator'
 import requestValidator from './../middlewares/requestValidator.js'
 import sessionValidator from './../middlewares/sessionValidator.js'
+import authorize from './../middlewares/authorizationValidator.js'
+import parseUpload from './../middlewares/uploadParser.js'
+import { queueRateLimit } from './../middlewares/rateLimitValidator.js'
 import * as controller from './../controllers/miscControlls.js'
 
 const router = Router()
 
 router.post(
     '/update-profile-status',
+    authorize('profile:manage'),
     query('id').notEmpty(),
     body('status').notEmpty(),
     requestValidator,
@@ -16,16 +20,25 @@ router.post(
 )
 router.post(
     '/update-profile-name',
+    authorize('profile:manage'),
     query('id').notEmpty(),
     body('name').notEmpty(),
     requestValidator,
     sessionValidator,
     controller.setProfileName,
 )
-router.post('/my-profile', query('id').notEmpty(), requestValidator, sessionValidator, controller.getProfile)
+router.post(
+    '/my-profile',
+    authorize('profile:read'),
+    query('id').notEmpty(),
+    requestValidator,
+    sessionValidator,
+    controller.getProfile,
+)
 
 router.post(
     '/profile-picture',
+    authorize('profile:read'),
     query('id').notEmpty(),
     body('jid').notEmpty(),
     body('isGroup').notEmpty(),
@@ -36,6 +49,7 @@ router.post(
 
 router.post(
     '/set-profile-picture',
+    authorize('profile:manage'),
     query('id').notEmpty(),
     body('url').notEmpty(),
     requestValidator,
@@ -45,6 +59,7 @@ router.post(
 
 router.post(
     '/block-and-unblock',
+    authorize('profile:manage'),
     query('id').notEmpty(),
     body('jid').notEmpty(),
     body('isBlock').notEmpty(),
@@ -55,11 +70,14 @@ router.post(
 
 router.post(
     '/public-story-status',
+    authorize('messages:send'),
+    parseUpload,
     query('id').notEmpty(),
     body('receiver').notEmpty(),
     body('message').notEmpty(),
     requestValidator,
     sessionValidator,
+    queueRateLimit,
     controller.shareStory,
 )
 
@@ -1,19 +1,307 @@
-import { Router } from 'express'
-import { body } from 'express-validator'
+import express, { Router } from 'express'
+import { body, header, query } from 'express-validator'
 import requestValidator from './../middlewares/requestValidator.js'
 import sessionValidator from './../middlewares/sessionValidator.js'
+import authorize from './../middlewares/authorizationValidator.js'
 import * as controller from './../controllers/sessionsController.js'
+import * as webhooksController from './../controllers/webhooksController.js'
+import * as eventsController from './../controllers/eventsController.js'
+import * as queueController from './../controllers/queueController.js'
+import * as campaignsController from './../controllers/campaignsController.js'
+import * as schedulesController from './../controllers/schedulesController.js'
+import * as templatesController from './../controllers/templatesController.js'
+import * as mediaController from './../controllers/mediaController.js'
+import { isValidCron, isValidTimezone } from './../utils/cron.js'
 
 const router = Router()
 
-router.get('/list', requestValidator, controller.list)
+const webhookValidators = (isUpdate = false) => {
+    const url = body('url').isURL({ require_tld: false, require_protocol: true }) // eslint-disable-line camelcase
 
-router.get('/find/:id', sessionValidator, controller.find)
+    return [
+        isUpdate ? url.optional() : url,
+        body('events').optional().isArray({ min: 1 }),
+        body('events.*').isString().notEmpty(),
+        body('headers').optional().isObject(),
+        body('headers.*').isString(),
+        body('secret').optional({ values: 'null' }).isString(),
+        body('enabled').optional().isBoolean({ strict: true }),
+    ]
+}
 
-router.get('/status/:id', sessionValidator, controller.status)
+const sessionInfoValidators = () => {
+    return [
+        body('tags').optional().isArray(),
+        body('tags.*').isString().notEmpty(),
+        body('owner').optional({ values: 'null' }).isString(),
+        body('metadata').optional().isObject(),
+    ]
+}
 
-router.post('/add', body('id').notEmpty(), requestValidator, controller.add)
+const scheduleValidators = (isUpdate = false) => {
+    const required = (chain) => {
+        return isUpdate ? chain.optional() : chain
+    }
 
-router.delete('/delete/:id', sessionValidator, controller.del)
+    return [
+        isUpdate ? [] : [body('receiver').notEmpty(), body('isGroup').optional().isBoolean({ strict: true })],
+        required(body('message').notEmpty().isObject()),
+        body('sendAt').optional({ values: 'null' }).isISO8601(),
+        body('cron')
+            .optional({ values: 'null' })
+            .isString()
+            .custom(isValidCron)
+            .withMessage('Invalid cron expression.'),
+        body('timezone').optional().isString().custom(isValidTimezone).withMessage('Unknown time zone.'),
+        body('catchUp').optional().isIn(['once', 'skip']),
+        isUpdate ? body('status').optional().isIn(['active', 'paused']) : [],
+    ]
+}
+
+router.get(
+    '/list',
+    authorize('sessions:read'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    requestValidator,
+    controller.list,
+)
+
+router.get('/find/:id', authorize('sessions:read'), sessionValidator, controller.find)
+
+router.get('/status/:id', authorize('sessions:read'), sessionValidator, controller.status)
+
+router.post(
+    '/add',
+    authorize('sessions:manage'),
+    body('id').notEmpty(),
+    sessionInfoValidators(),
+    requestValidator,
+    controller.add,
+)
+
+router.patch(
+    '/:id',
+    authorize('sessions:manage'),
+    sessionInfoValidators(),
+    requestValidator,
+    sessionValidator,
+    controller.update,
+)
+
+router.delete('/delete/:id', authorize('sessions:manage'), sessionValidator, controller.del)
+
+router.post('/:id/stop', authorize('sessions:manage'), sessionValidator, controller.stop)
+
+router.post('/:id/start', authorize('sessions:manage'), sessionValidator, controller.start)
+
+router.post('/:id/restart', authorize('sessions:manage'), sessionValidator, controller.restart)
+
+router.post(
+    '/:id/export',
+    authorize('sessions:manage'),
+    body('passphrase').isString().isLength({ min: 8 }),
+    requestValidator,
+    sessionValidator,
+    controller.exportArchive,
+)
+
+router.post(
+    '/:id/import',
+    authorize('sessions:manage'),
+    express.raw({ type: 'application/octet-stream', limit: process.env.APP_SESSION_ARCHIVE_MAX_SIZE || '50mb' }),
+    header('x-archive-passphrase').isString().isLength({ min: 8 }),
+    requestValidator,
+    controller.importArchive,
+)
+
+router.get(
+    '/:id/qr',
+    authorize('sessions:read'),
+    query('format').optional().isIn(['png', 'dataurl', 'raw']),
+    requestValidator,
+    sessionValidator,
+    controller.qr,
+)
+
+router.get('/:id/qr/stream', authorize('sessions:read'), sessionValidator, controller.qrStream)
+
+router.post(
+    '/:id/pairing-code',
+    authorize('sessions:manage'),
+    body('phoneNumber').optional().isString(),
+    requestValidator,
+    sessionValidator,
+    controller.pairingCode,
+)
+
+router.get(
+    '/:id/queue',
+    authorize('messages:read'),
+    query('status').optional().isIn(['queued', 'sending', 'paused', 'sent', 'failed', 'cancelled']),
+    query('limit').optional().isInt({ min: 1, max: 1000 }),
+    query('offset').optional().isInt({ min: 0 }),
+    requestValidator,
+    sessionValidator,
+    queueController.list,
+)
+
+router.get('/:id/queue/:itemId', authorize('messages:read'), sessionValidator, queueController.find)
+
+router.delete('/:id/queue/:itemId', authorize('messages:send'), sessionValidator, queueController.cancel)
+
+router.get('/:id/schedules', authorize('messages:read'), sessionValidator, schedulesController.list)
+
+router.get('/:id/schedules/:scheduleId', authorize('messages:read'), sessionValidator, schedulesController.find)
+
+router.post(
+    '/:id/schedules',
+    authorize('messages:send'),
+    scheduleValidators(),
+    requestValidator,
+    sessionValidator,
+    schedulesController.create,
+)
+
+router.patch(
+    '/:id/schedules/:scheduleId',
+    authorize('messages:send'),
+    scheduleValidators(true),
+    requestValidator,
+    sessionValidator,
+    schedulesController.update,
+)
+
+router.delete('/:id/schedules/:scheduleId', authorize('messages:send'), sessionValidator, schedulesController.remove)
+
+router.get('/:id/templates', authorize('messages:read'), sessionValidator, templatesController.list)
+
+router.get('/:id/templates/:name', authorize('messages:read'), sessionValidator, templatesController.find)
+
+router.post(
+    '/:id/templates',
+    authorize('messages:send'),
+    body('name')
+        .isString()
+        .matches(/^[\w.-]+$/),
+    body('message').isObject().notEmpty(),
+    requestValidator,
+    sessionValidator,
+    templatesController.create,
+)
+
+router.put(
+    '/:id/templates/:name',
+    authorize('messages:send'),
+    body('message').isObject().notEmpty(),
+    requestValidator,
+    sessionValidator,
+    templatesController.update,
+)
+
+router.delete('/:id/templates/:name', authorize('messages:send'), sessionValidator, templatesController.remove)
+
+router.get('/:id/media', authorize('messages:read'), sessionValidator, mediaController.list)
+
+router.get('/:id/media/:mediaId', authorize('messages:read'), sessionValidator, mediaController.find)
+
+router.post('/:id/media', authorize('messages:send'), sessionValidator, mediaController.upload)
+
+router.delete('/:id/media/:mediaId', authorize('messages:send'), sessionValidator, mediaController.remove)
+
+router.get('/:id/campaigns', authorize('messages:read'), sessionValidator, campaignsController.list)
+
+router.get('/:id/campaigns/:campaignId', authorize('messages:read'), sessionValidator, campaignsController.find)
+
+router.get(
+    '/:id/campaigns/:campaignId/export',
+    authorize('messages:read'),
+    query('format').optional().isIn(['json', 'csv']),
+    requestValidator,
+    sessionValidator,
+    campaignsController.exportReport,
+)
+
+router.post('/:id/campaigns/:campaignId/pause', authorize('messages:send'), sessionValidator, campaignsController.pause)
+
+router.post(
+    '/:id/campaigns/:campaignId/resume',
+    authorize('messages:send'),
+    sessionValidator,
+    campaignsController.resume,
+)
+
+router.post(
+    '/:id/campaigns/:campaignId/cancel',
+    authorize('messages:send'),
+    sessionValidator,
+    campaignsController.cancel,
+)
+
+router.get(
+    '/:id/events',
+    authorize('events:read'),
+    query('after').optional().isInt({ min: 0 }),
+    query('limit').optional().isInt({ min: 1, max: 1000 }),
+    requestValidator,
+    sessionValidator,
+    eventsController.poll,
+)
+
+router.get('/:id/webhooks', authorize('sessions:manage'), sessionValidator, webhooksController.list)
+
+router.get('/:id/webhooks/dead-letters', authorize('sessions:manage'), sessionValidator, webhooksController.deadLetters)
+
+router.get(
+    '/:id/webhooks/deliveries',
+    authorize('sessions:manage'),
+    query('status').optional().isIn(['pending', 'delivered', 'failed']),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    query('offset').optional().isInt({ min: 0 }),
+    requestValidator,
+    sessionValidator,
+    webhooksController.deliveries,
+)
+
+router.get(
+    '/:id/webhooks/deliveries/:deliveryId',
+    authorize('sessions:manage'),
+    sessionValidator,
+    webhooksController.findDeliveryLog,
+)
+
+router.post(
+    '/:id/webhooks/deliveries/replay',
+    authorize('sessions:manage'),
+    sessionValidator,
+    webhooksController.replayFailed,
+)
+
+router.post(
+    '/:id/webhooks/deliveries/:deliveryId/replay',
+    authorize('sessions:manage'),
+    sessionValidator,
+    webhooksController.replay,
+)
+
+router.post(
+    '/:id/webhooks',
+    authorize('sessions:manage'),
+    webhookValidators(),
+    requestValidator,
+    sessionValidator,
+    webhooksController.create,
+)
+
+router.patch(
+    '/:id/webhooks/:webhookId',
+    authorize('sessions:manage'),
+    webhookValidators(true),
+    requestValidator,
+    sessionValidator,
+    webhooksController.update,
+)
+
+router.delete('/:id/webhooks/:webhookId', authorize('sessions:manage'), sessionValidator, webhooksController.remove)
 
 export default router
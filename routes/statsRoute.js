@@ -0,0 +1,8 @@
+import { Router } from 'express'
+import * as controller from './../controllers/statsController.js'
+
+const router = Router()
+
+router.get('/rate-limits', controller.rateLimits)
+
+export default router
@@ -0,0 +1,164 @@
+/**
+ * Encrypts the credentials, stores, queues, schedules, templates, event journals, webhooks, webhook deliveries
+ * and idempotent answers of existing sessions, or rotates the master key they are encrypted with.
+ *
+ * Usage:
+ *   npm run encryption:migrate                          encrypts plaintext sessions with the configured key
+ *   npm run encryption:rotate -- --new-key-file=<file>  rewraps everything with a new key (or --new-key=<key>)
+ *   npm run encryption:decrypt                          writes everything back in plaintext
+ *
+ * Stop the API first, sessions must not be running while their files are rewritten.
+ */
+import 'dotenv/config'
+import { existsSync, readdirSync, readFileSync, renameSync, writeFileSync } from 'fs'
+import { join } from 'path'
+import { parseArgs } from 'util'
+import { getAuthStateAdapter, listAuthSessions } from './../store/auth-state/index.js'
+import { sessionsDir } from './../utils/functions.js'
+import { parseKey, getMasterKey, isEncrypted, encrypt, decrypt, rewrap } from './../utils/encryption.js'
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'new-key': { type: 'string' },
+        'new-key-file': { type: 'string' },
+    },
+})
+
+const [command] = positionals
+
+const transformers = {
+    migrate() {
+        const key = getMasterKey()
+
+        if (!key) {
+            throw new Error('Set APP_ENCRYPTION_KEY or APP_ENCRYPTION_KEY_FILE before migrating.')
+        }
+
+        return (text) => {
+            return isEncrypted(text) ? text : encrypt(text, key)
+        }
+    },
+    rotate() {
+        const oldKey = getMasterKey()
+        const newValue = values['new-key'] ?? (values['new-key-file'] && readFileSync(values['new-key-file'], 'utf-8'))
+
+        if (!newValue) {
+            throw new Error('The new key is required, pass --new-key or --new-key-file.')
+        }
+
+        const newKey = parseKey(newValue)
+
+        return (text) => {
+            return isEncrypted(text) ? rewrap(text, oldKey, newKey) : encrypt(text, newKey)
+        }
+    },
+    decrypt() {
+        return (text) => {
+            return decrypt(text)
+        }
+    },
+}
+
+const writeFileAtomic = (file, data) => {
+    const tempFile = `${file}.tmp.${Date.now()}`
+
+    writeFileSync(tempFile, data)
+    renameSync(tempFile, file)
+}
+
+// Files holding message contents or secrets, encrypted as a whole
+const DATA_FILES = [
+    '_store.json',
+    '_store.json.backup',
+    '_outbox.json',
+    '_webhook_log.json',
+    '_webhooks.json',
+    'idempotency.json',
+    'schedules.json',
+    'templates.json',
+]
+// Folders of webhook deliveries, one file per delivery
+const DELIVERY_DIRS = ['webhook_outbox', 'webhook_dead_letter']
+
+const listFiles = () => {
+    const files = readdirSync(sessionsDir()).filter((file) => {
+        return [...DATA_FILES, '_events.jsonl'].some((suffix) => {
+            return file.endsWith(suffix)
+        })
+    })
+
+    for (const dir of DELIVERY_DIRS) {
+        if (existsSync(sessionsDir(dir))) {
+            for (const file of readdirSync(sessionsDir(dir))) {
+                if (file.endsWith('.json')) {
+                    files.push(join(dir, file))
+                }
+            }
+        }
+    }
+
+    return files
+}
+
+// The event journal is encrypted line by line so it can still be appended to
+const transformFile = (file, value, transform) => {
+    if (!file.endsWith('.jsonl')) {
+        return transform(value)
+    }
+
+    return value
+        .split('\n')
+        .map((line) => {
+            return line ? transform(line) : line
+        })
+        .join('\n')
+}
+
+const run = async () => {
+    if (!transformers[command]) {
+        throw new Error('Unknown command, use migrate, rotate or decrypt.')
+    }
+
+    const transform = transformers[command]()
+    const adapter = getAuthStateAdapter()
+    let changed = 0
+
+    for (const sessionId of await listAuthSessions(adapter)) {
+        for (const key of await adapter.keys(sessionId)) {
+            const value = await adapter.read(sessionId, key)
+            const result = transform(value)
+
+            if (result !== value) {
+                await adapter.write(sessionId, key, result)
+                changed++
+            }
+        }
+
+        console.log(`Auth state of session ${sessionId} done.`)
+    }
+
+    for (const file of listFiles()) {
+        const path = sessionsDir(file)
+        const value = readFileSync(path, 'utf-8')
+        const result = transformFile(file, value, transform)
+
+        if (result !== value) {
+            writeFileAtomic(path, result)
+            changed++
+        }
+
+        console.log(`File ${file} done.`)
+    }
+
+    console.log(`${changed} entries rewritten.`)
+
+    if (command === 'rotate') {
+        console.log('Now set APP_ENCRYPTION_KEY or APP_ENCRYPTION_KEY_FILE to the new key before starting the API.')
+    }
+}
+
+run().catch((error) => {
+    console.error('Encryption command failed.', error.message)
+    process.exit(1)
+})
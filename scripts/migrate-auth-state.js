@@ -0,0 +1,55 @@
+/**
+ * Copies the auth state of every session from one backend to another.
+ *
+ * Usage: npm run migrate:auth-state -- --from=multi-file --to=sqlite [--remove-source]
+ *
+ * Stop the API first, sessions must not be running while their credentials are moved.
+ */
+import 'dotenv/config'
+import { parseArgs } from 'util'
+import {
+    getAuthStateAdapter,
+    listAuthSessions,
+    exportAuthState,
+    importAuthState,
+    removeAuthState,
+} from './../store/auth-state/index.js'
+
+const { values } = parseArgs({
+    options: {
+        from: { type: 'string', default: 'multi-file' },
+        to: { type: 'string', default: 'sqlite' },
+        'remove-source': { type: 'boolean', default: false },
+    },
+})
+
+const source = getAuthStateAdapter(values.from)
+const target = getAuthStateAdapter(values.to)
+
+if (source === target) {
+    console.error('The source and target backends must be different.')
+    process.exit(1)
+}
+
+const migrate = async () => {
+    const sessionIds = await listAuthSessions(source)
+
+    for (const sessionId of sessionIds) {
+        const entries = await exportAuthState(sessionId, source)
+
+        await importAuthState(sessionId, entries, target)
+
+        if (values['remove-source']) {
+            await removeAuthState(sessionId, source)
+        }
+
+        console.log(`Migrated session ${sessionId}: ${entries.length} entries.`)
+    }
+
+    console.log(`${sessionIds.length} sessions migrated from ${source.name} to ${target.name}.`)
+}
+
+migrate().catch((error) => {
+    console.error('Migration failed.', error)
+    process.exit(1)
+})
@@ -0,0 +1,96 @@
+import { createHash, randomBytes, randomUUID } from 'crypto'
+import { sessionsDir, readJsonFile, writeJsonFile } from './../utils/functions.js'
+
+const SCOPES = [
+    'sessions:read',
+    'sessions:manage',
+    'messages:read',
+    'messages:send',
+    'groups:read',
+    'groups:admin',
+    'profile:read',
+    'profile:manage',
+    'events:read',
+]
+
+let apiKeys = null
+
+const keysFile = () => {
+    return sessionsDir('api_keys.json')
+}
+
+const getApiKeys = () => {
+    if (!apiKeys) {
+        apiKeys = readJsonFile(keysFile(), [])
+    }
+
+    return apiKeys
+}
+
+const saveApiKeys = () => {
+    writeJsonFile(keysFile(), getApiKeys())
+}
+
+// Keys are long random strings, a plain SHA-256 is enough to keep them out of the file
+const hashKey = (key) => {
+    return createHash('sha256').update(String(key)).digest('hex')
+}
+
+/**
+ * Creates a key limited to the given session ids and scopes, `*` allows every session or scope.
+ * The plain key is only part of the returned value, the file keeps its hash.
+ */
+const createApiKey = ({ name = null, sessions = ['*'], scopes = ['*'] }) => {
+    const key = `bak_${randomBytes(24).toString('base64url')}`
+    const apiKey = {
+        id: randomUUID(),
+        name,
+        prefix: key.slice(0, 8),
+        hash: hashKey(key),
+        sessions,
+        scopes,
+        createdAt: Date.now(),
+        revokedAt: null,
+    }
+
+    getApiKeys().push(apiKey)
+    saveApiKeys()
+
+    return { ...apiKey, key }
+}
+
+const listApiKeys = () => {
+    return getApiKeys()
+}
+
+const findApiKey = (key) => {
+    if (!key) {
+        return null
+    }
+
+    const hash = hashKey(key)
+
+    return (
+        getApiKeys().find((apiKey) => {
+            return apiKey.hash === hash && !apiKey.revokedAt
+        }) ?? null
+    )
+}
+
+// Revoked keys stay in the file so their id can still be traced back
+const revokeApiKey = (id) => {
+    const apiKey = getApiKeys().find((item) => {
+        return item.id === id && !item.revokedAt
+    })
+
+    if (!apiKey) {
+        return null
+    }
+
+    apiKey.revokedAt = Date.now()
+    saveApiKeys()
+
+    return apiKey
+}
+
+export { SCOPES, createApiKey, listApiKeys, findApiKey, revokeApiKey }
@@ -0,0 +1,90 @@
+import { appendFileSync, createReadStream } from 'fs'
+import { createInterface } from 'readline'
+import { sessionsDir } from './../utils/functions.js'
+
+// One file for every session, so the entries of a deleted session are kept
+const auditFile = () => {
+    return sessionsDir('audit.jsonl')
+}
+
+/**
+ * Appends an entry to the audit log, existing entries are never rewritten.
+ */
+const appendAudit = (entry) => {
+    try {
+        appendFileSync(auditFile(), JSON.stringify(entry) + '\n')
+    } catch (error) {
+        console.error('Unable to write audit log.', error.message)
+    }
+}
+
+const toTime = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null
+    }
+
+    return isNaN(value) ? new Date(value).getTime() : parseInt(value)
+}
+
+// A line cut short by a crash is skipped instead of hiding the whole log
+const parseLine = (line) => {
+    try {
+        return JSON.parse(line)
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Streams the log and returns the `limit` newest matching entries after skipping `offset`, with the
+ * number of matching entries. Only those entries are held in memory, the log is never loaded whole.
+ */
+const queryAudit = async ({ from, to, actions = [], sessionId, keyId, limit = 100, offset = 0 } = {}) => {
+    const fromTime = toTime(from)
+    const toTimeValue = toTime(to)
+    const newest = []
+    let total = 0
+
+    const lines = createInterface({ input: createReadStream(auditFile()), crlfDelay: Infinity })
+
+    try {
+        for await (const line of lines) {
+            const entry = parseLine(line)
+
+            if (!entry) {
+                continue
+            }
+
+            // Entries are appended in time order, the ones left are all newer
+            if (toTimeValue !== null && entry.timestamp > toTimeValue) {
+                break
+            }
+
+            const matches =
+                (fromTime === null || entry.timestamp >= fromTime) &&
+                (actions.length === 0 || actions.includes(entry.action)) &&
+                (!sessionId || entry.sessionId === sessionId) &&
+                (!keyId || entry.key?.id === keyId)
+
+            if (matches) {
+                total++
+                newest.push(entry)
+
+                if (newest.length > offset + limit) {
+                    newest.shift()
+                }
+            }
+        }
+    } catch (error) {
+        // No log yet
+        if (error.code !== 'ENOENT') {
+            throw error
+        }
+    } finally {
+        lines.close()
+    }
+
+    return { entries: newest.reverse().slice(offset, offset + limit), total }
+}
+
+export { appendAudit, queryAudit }
@@ -0,0 +1,55 @@
+import multiFile from './multi-file.js'
+import sqlite from './sqlite.js'
+import { makeKeyValueAuthState } from './key-value.js'
+import { encrypt, decrypt } from './../../utils/encryption.js'
+
+/**
+ * A backend stores the raw auth state entries of every session and implements:
+ * `read(sessionId, key)`, `write(sessionId, key, value)`, `remove(sessionId, key)`,
+ * `keys(sessionId)`, `sessions()` and `clear(sessionId)`, all of them async.
+ */
+const adapters = {
+    [multiFile.name]: multiFile,
+    [sqlite.name]: sqlite,
+}
+
+const getAuthStateAdapter = (name = process.env.APP_AUTH_STATE_BACKEND || multiFile.name) => {
+    if (!adapters[name]) {
+        throw new Error(`Unknown auth state backend: ${name}`)
+    }
+
+    return adapters[name]
+}
+
+const useAuthState = (sessionId, adapter = getAuthStateAdapter()) => {
+    return makeKeyValueAuthState(adapter, sessionId)
+}
+
+const listAuthSessions = (adapter = getAuthStateAdapter()) => {
+    return adapter.sessions()
+}
+
+const removeAuthState = (sessionId, adapter = getAuthStateAdapter()) => {
+    return adapter.clear(sessionId)
+}
+
+/**
+ * Exported entries are always plaintext, they are encrypted again with the local key on import.
+ */
+const exportAuthState = async (sessionId, adapter = getAuthStateAdapter()) => {
+    const entries = []
+
+    for (const key of await adapter.keys(sessionId)) {
+        entries.push([key, decrypt(await adapter.read(sessionId, key))])
+    }
+
+    return entries
+}
+
+const importAuthState = async (sessionId, entries, adapter = getAuthStateAdapter()) => {
+    for (const [key, value] of entries) {
+        await adapter.write(sessionId, key, encrypt(value))
+    }
+}
+
+export { getAuthStateAdapter, useAuthState, listAuthSessions, removeAuthState, exportAuthState, importAuthState }
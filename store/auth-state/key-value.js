@@ -0,0 +1,67 @@
+import { BufferJSON, initAuthCreds, proto } from 'baileys'
+import { encrypt, decrypt } from './../../utils/encryption.js'
+
+// Same naming as Baileys' useMultiFileAuthState, so every backend shares the keys of the md_ folders
+const toKey = (name) => {
+    return name.replace(/\//g, '__').replace(/:/g, '-')
+}
+
+/**
+ * Builds a Baileys auth state on top of the raw `read`, `write` and `remove` methods of a backend.
+ */
+const makeKeyValueAuthState = async (adapter, sessionId) => {
+    const readData = async (key) => {
+        const raw = await adapter.read(sessionId, toKey(key))
+
+        return raw ? JSON.parse(decrypt(raw), BufferJSON.reviver) : null
+    }
+
+    const writeData = (key, value) => {
+        return adapter.write(sessionId, toKey(key), encrypt(JSON.stringify(value, BufferJSON.replacer)))
+    }
+
+    const creds = (await readData('creds')) || initAuthCreds()
+
+    return {
+        state: {
+            creds,
+            keys: {
+                async get(type, ids) {
+                    const data = {}
+
+                    await Promise.all(
+                        ids.map(async (id) => {
+                            let value = await readData(`${type}-${id}`)
+
+                            if (type === 'app-state-sync-key' && value) {
+                                value = proto.Message.AppStateSyncKeyData.fromObject(value)
+                            }
+
+                            data[id] = value
+                        }),
+                    )
+
+                    return data
+                },
+                async set(data) {
+                    const tasks = []
+
+                    for (const [category, values] of Object.entries(data)) {
+                        for (const [id, value] of Object.entries(values)) {
+                            const key = `${category}-${id}`
+
+                            tasks.push(value ? writeData(key, value) : adapter.remove(sessionId, toKey(key)))
+                        }
+                    }
+
+                    await Promise.all(tasks)
+                },
+            },
+        },
+        saveCreds() {
+            return writeData('creds', creds)
+        },
+    }
+}
+
+export { makeKeyValueAuthState }
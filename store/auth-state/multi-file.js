@@ -0,0 +1,66 @@
+import { randomUUID } from 'crypto'
+import { mkdir, readFile, readdir, rename, rm, unlink, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { sessionsDir } from './../../utils/functions.js'
+
+const folder = (sessionId) => {
+    return sessionsDir('md_' + sessionId)
+}
+
+const file = (sessionId, key) => {
+    return join(folder(sessionId), `${key}.json`)
+}
+
+const read = async (sessionId, key) => {
+    try {
+        return await readFile(file(sessionId, key), 'utf-8')
+    } catch {
+        return null
+    }
+}
+
+const write = async (sessionId, key, value) => {
+    const tempFile = `${file(sessionId, key)}.tmp.${randomUUID()}`
+
+    await mkdir(folder(sessionId), { recursive: true })
+    await writeFile(tempFile, value)
+    await rename(tempFile, file(sessionId, key))
+}
+
+const remove = async (sessionId, key) => {
+    try {
+        await unlink(file(sessionId, key))
+    } catch {}
+}
+
+const keys = async (sessionId) => {
+    try {
+        return (await readdir(folder(sessionId)))
+            .filter((name) => {
+                return name.endsWith('.json')
+            })
+            .map((name) => {
+                return name.slice(0, -'.json'.length)
+            })
+    } catch {
+        return []
+    }
+}
+
+const sessions = async () => {
+    const entries = await readdir(sessionsDir(), { withFileTypes: true })
+
+    return entries
+        .filter((entry) => {
+            return entry.isDirectory() && entry.name.startsWith('md_')
+        })
+        .map((entry) => {
+            return entry.name.substring(3)
+        })
+}
+
+const clear = async (sessionId) => {
+    await rm(folder(sessionId), { force: true, recursive: true })
+}
+
+export default { name: 'multi-file', read, write, remove, keys, sessions, clear }
@@ -0,0 +1,60 @@
+import { sessionsDir } from './../../utils/functions.js'
+
+let database = null
+
+// The native module is only loaded when this backend is selected
+const getDatabase = async () => {
+    if (!database) {
+        const { default: Database } = await import('better-sqlite3')
+
+        database = new Database(process.env.APP_AUTH_STATE_SQLITE_FILE || sessionsDir('auth_state.sqlite'))
+        database.pragma('journal_mode = WAL')
+        database.exec(
+            'CREATE TABLE IF NOT EXISTS auth_state (session_id TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (session_id, key))',
+        )
+    }
+
+    return database
+}
+
+const read = async (sessionId, key) => {
+    const row = (await getDatabase())
+        .prepare('SELECT value FROM auth_state WHERE session_id = ? AND key = ?')
+        .get(sessionId, key)
+
+    return row?.value ?? null
+}
+
+const write = async (sessionId, key, value) => {
+    ;(await getDatabase())
+        .prepare('INSERT OR REPLACE INTO auth_state (session_id, key, value) VALUES (?, ?, ?)')
+        .run(sessionId, key, value)
+}
+
+const remove = async (sessionId, key) => {
+    ;(await getDatabase()).prepare('DELETE FROM auth_state WHERE session_id = ? AND key = ?').run(sessionId, key)
+}
+
+const keys = async (sessionId) => {
+    return (await getDatabase())
+        .prepare('SELECT key FROM auth_state WHERE session_id = ?')
+        .all(sessionId)
+        .map((row) => {
+            return row.key
+        })
+}
+
+const sessions = async () => {
+    return (await getDatabase())
+        .prepare(`SELECT DISTINCT session_id FROM auth_state WHERE key = 'creds'`)
+        .all()
+        .map((row) => {
+            return row.session_id
+        })
+}
+
+const clear = async (sessionId) => {
+    ;(await getDatabase()).prepare('DELETE FROM auth_state WHERE session_id = ?').run(sessionId)
+}
+
+export default { name: 'sqlite', read, write, remove, keys, sessions, clear }
@@ -0,0 +1,223 @@
+import { randomUUID } from 'crypto'
+import { rmSync } from 'fs'
+import { sessionsDir, readJsonFile, writeJsonFile } from './../utils/functions.js'
+import { queueEvents } from './outbound-queue.js'
+
+const campaigns = new Map()
+const flushTimers = new Map()
+
+// A recipient only moves forward, a late `sent` never replaces `read`
+const STATUS_RANK = { queued: 0, paused: 0, sent: 1, delivered: 2, read: 3 }
+const FINAL_STATUSES = ['failed', 'cancelled']
+// A campaign in one of these statuses can no longer be paused, resumed or cancelled
+const FINISHED_STATUSES = ['completed', 'cancelled']
+
+// WAMessageStatus values of the `messages.update` event
+const ACK_STATUSES = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' }
+
+const campaignsFile = (sessionId) => {
+    return sessionsDir(`${sessionId}_campaigns.json`)
+}
+
+const retention = () => {
+    return parseInt(process.env.APP_CAMPAIGN_RETENTION ?? 2592000000)
+}
+
+const getCampaigns = (sessionId) => {
+    if (!campaigns.has(sessionId)) {
+        const list = readJsonFile(campaignsFile(sessionId), [])
+
+        // Campaigns saved by older versions were never marked `completed`
+        list.forEach(completeCampaign)
+        campaigns.set(sessionId, list)
+    }
+
+    return campaigns.get(sessionId)
+}
+
+// Finished campaigns are kept for `APP_CAMPAIGN_RETENTION` ms so their report can still be exported
+const saveCampaigns = (sessionId) => {
+    const threshold = Date.now() - retention()
+    const list = getCampaigns(sessionId).filter((campaign) => {
+        return !FINISHED_STATUSES.includes(campaign.status) || campaign.updatedAt >= threshold
+    })
+
+    clearTimeout(flushTimers.get(sessionId))
+    flushTimers.delete(sessionId)
+    campaigns.set(sessionId, list)
+    writeJsonFile(campaignsFile(sessionId), list)
+}
+
+// Recipients move with every message of the campaign, so their progress is written once a second at most
+const scheduleSave = (sessionId) => {
+    if (flushTimers.has(sessionId)) {
+        return
+    }
+
+    flushTimers.set(
+        sessionId,
+        setTimeout(() => {
+            try {
+                saveCampaigns(sessionId)
+            } catch (error) {
+                console.error('Unable to write campaigns.', error.message)
+            }
+        }, 1000),
+    )
+}
+
+const createCampaign = (sessionId, { id = randomUUID(), name = null, recipients }) => {
+    const campaign = {
+        id,
+        sessionId,
+        name,
+        status: 'running',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        recipients: recipients.map(({ key, receiver, itemId }) => {
+            return { key, receiver, itemId, status: 'queued', messageId: null, error: null, updatedAt: Date.now() }
+        }),
+    }
+
+    getCampaigns(sessionId).push(campaign)
+    saveCampaigns(sessionId)
+
+    return campaign
+}
+
+const findCampaign = (sessionId, campaignId) => {
+    return (
+        getCampaigns(sessionId).find((campaign) => {
+            return campaign.id === campaignId
+        }) ?? null
+    )
+}
+
+const setCampaignStatus = (sessionId, campaignId, status) => {
+    const campaign = findCampaign(sessionId, campaignId)
+
+    if (campaign) {
+        Object.assign(campaign, { status, updatedAt: Date.now() })
+        // Resuming a campaign whose last messages were sent while it was paused completes it
+        completeCampaign(campaign)
+        saveCampaigns(sessionId)
+    }
+
+    return campaign
+}
+
+const moveRecipient = (recipient, status, changes = {}) => {
+    if (FINAL_STATUSES.includes(recipient.status)) {
+        return false
+    }
+
+    if (!FINAL_STATUSES.includes(status) && STATUS_RANK[status] < STATUS_RANK[recipient.status]) {
+        return false
+    }
+
+    Object.assign(recipient, { messageId: changes.messageId ?? recipient.messageId, status, updatedAt: Date.now() })
+
+    if (changes.error !== undefined) {
+        recipient.error = changes.error
+    }
+
+    return true
+}
+
+// A running campaign is completed once none of its messages is waiting to be sent
+const completeCampaign = (campaign) => {
+    const isDone = campaign.recipients.every((recipient) => {
+        return !['queued', 'paused'].includes(recipient.status)
+    })
+
+    if (campaign.status === 'running' && isDone) {
+        Object.assign(campaign, { status: 'completed', updatedAt: Date.now() })
+    }
+}
+
+const queueStatus = (item) => {
+    return item.status === 'sending' ? 'queued' : item.status
+}
+
+// Keeps the recipients in step with their queued message
+queueEvents.on('update', (item) => {
+    if (!item.campaignId) {
+        return
+    }
+
+    const campaign = findCampaign(item.sessionId, item.campaignId)
+    const recipient = campaign?.recipients.find((entry) => {
+        return entry.itemId === item.id
+    })
+
+    if (recipient && moveRecipient(recipient, queueStatus(item), { messageId: item.messageId, error: item.error })) {
+        completeCampaign(campaign)
+        scheduleSave(item.sessionId)
+    }
+})
+
+/**
+ * Applies a `messages.update` status to the campaign recipient the message was sent to.
+ */
+const recordDeliveryStatus = (sessionId, messageId, ackStatus) => {
+    const status = ACK_STATUSES[ackStatus]
+
+    if (!status) {
+        return
+    }
+
+    for (const campaign of getCampaigns(sessionId)) {
+        const recipient = campaign.recipients.find((entry) => {
+            return entry.messageId === messageId
+        })
+
+        if (recipient) {
+            const changes = status === 'failed' ? { error: 'WhatsApp rejected the message.' } : {}
+
+            if (moveRecipient(recipient, status, changes)) {
+                scheduleSave(sessionId)
+            }
+
+            return
+        }
+    }
+}
+
+const campaignProgress = (campaign) => {
+    const counts = { queued: 0, paused: 0, sent: 0, delivered: 0, read: 0, failed: 0, cancelled: 0 }
+
+    for (const recipient of campaign.recipients) {
+        counts[recipient.status]++
+    }
+
+    return { status: campaign.status, total: campaign.recipients.length, counts }
+}
+
+const isCampaignFinished = (campaign) => {
+    return FINISHED_STATUSES.includes(campaign.status)
+}
+
+const removeCampaigns = (sessionId) => {
+    clearTimeout(flushTimers.get(sessionId))
+    flushTimers.delete(sessionId)
+    campaigns.delete(sessionId)
+    rmSync(campaignsFile(sessionId), { force: true })
+}
+
+const flushCampaigns = () => {
+    for (const sessionId of flushTimers.keys()) {
+        saveCampaigns(sessionId)
+    }
+}
+
+export {
+    getCampaigns,
+    createCampaign,
+    findCampaign,
+    setCampaignStatus,
+    recordDeliveryStatus,
+    campaignProgress,
+    isCampaignFinished,
+    removeCampaigns,
+    flushCampaigns,
+}
@@ -0,0 +1,319 @@
+import { appendFileSync, readFileSync, rmSync, truncateSync } from 'fs'
+import { appendFile, open, rename, writeFile } from 'fs/promises'
+import { sessionsDir } from './../utils/functions.js'
+import { encrypt, decrypt } from './../utils/encryption.js'
+
+const journals = new Map()
+
+// Size of the reads going through the journal from a cursor
+const READ_CHUNK = 65536
+
+const journalFile = (sessionId) => {
+    return sessionsDir(`${sessionId}_events.jsonl`)
+}
+
+const maxEntries = () => {
+    return parseInt(process.env.APP_EVENT_JOURNAL_MAX_ENTRIES ?? 10000)
+}
+
+// Each line is encrypted on its own when a master key is configured, a wrong key throws
+const parseLine = (line) => {
+    if (!line) {
+        return null
+    }
+
+    const text = decrypt(line)
+
+    // Journals written by older versions may hold a line cut short by a crash in the middle
+    try {
+        return JSON.parse(text)
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Where each event starts in the file, so a poll reads from its cursor on instead of the whole journal.
+ */
+const indexJournal = (sessionId) => {
+    let raw = Buffer.alloc(0)
+
+    try {
+        raw = readFileSync(journalFile(sessionId))
+    } catch {
+        // No journal yet
+    }
+
+    // A line cut short by a crash can only be the last one, it is dropped so the next event starts on its own line
+    const size = raw.lastIndexOf(0x0a) + 1
+
+    if (size < raw.length) {
+        truncateSync(journalFile(sessionId), size)
+    }
+
+    const offsets = []
+    let start = 0
+
+    while (start < size) {
+        const end = raw.indexOf(0x0a, start)
+        const entry = parseLine(raw.toString('utf-8', start, end))
+
+        if (entry) {
+            offsets.push([entry.cursor, start])
+        }
+
+        start = end + 1
+    }
+
+    return { offsets, size }
+}
+
+const getJournal = (sessionId) => {
+    if (!journals.has(sessionId)) {
+        const { offsets, size } = indexJournal(sessionId)
+
+        journals.set(sessionId, {
+            lastCursor: offsets.at(-1)?.[0] ?? 0,
+            offsets,
+            size,
+            buffer: [],
+            flushing: null,
+            readers: 0,
+        })
+    }
+
+    return journals.get(sessionId)
+}
+
+const readBytes = async (sessionId, from, to) => {
+    const file = await open(journalFile(sessionId), 'r')
+
+    try {
+        const buffer = Buffer.alloc(Math.max(0, to - from))
+        const { bytesRead } = await file.read(buffer, 0, buffer.length, from)
+
+        return buffer.subarray(0, bytesRead)
+    } finally {
+        await file.close()
+    }
+}
+
+// Keeps the last `APP_EVENT_JOURNAL_MAX_ENTRIES` events, the file is copied from the first one kept
+const compact = async (sessionId, journal) => {
+    const keep = journal.offsets.slice(-maxEntries())
+    const base = keep[0]?.[1] ?? journal.size
+    const tempFile = `${journalFile(sessionId)}.tmp.${Date.now()}`
+
+    await writeFile(tempFile, await readBytes(sessionId, base, journal.size))
+    await rename(tempFile, journalFile(sessionId))
+
+    journal.offsets = keep.map(([cursor, offset]) => {
+        return [cursor, offset - base]
+    })
+    journal.size -= base
+}
+
+const writeBuffered = async (sessionId, journal) => {
+    while (journal.buffer.length > 0) {
+        const lines = journal.buffer.splice(0)
+        const offsets = []
+        let { size } = journal
+
+        for (const { cursor, text } of lines) {
+            offsets.push([cursor, size])
+            size += Buffer.byteLength(text)
+        }
+
+        await appendFile(
+            journalFile(sessionId),
+            lines
+                .map(({ text }) => {
+                    return text
+                })
+                .join(''),
+        )
+
+        journal.offsets.push(...offsets)
+        journal.size = size
+
+        // Not while a poll is reading, the offsets it holds would point into the old file
+        if (journal.offsets.length > maxEntries() * 1.5 && journal.readers === 0) {
+            await compact(sessionId, journal)
+        }
+    }
+}
+
+// One write at a time per journal, events appended meanwhile go out with the next one
+const flushJournal = (sessionId, journal) => {
+    if (!journal.flushing) {
+        journal.flushing = writeBuffered(sessionId, journal)
+            .catch((error) => {
+                console.error('Unable to write event journal.', error.message)
+
+                // What reached the file is indexed again, the cursors keep growing
+                Object.assign(journal, indexJournal(sessionId))
+            })
+            .finally(() => {
+                journal.flushing = null
+
+                if (journal.buffer.length > 0) {
+                    flushJournal(sessionId, journal)
+                }
+            })
+    }
+
+    return journal.flushing
+}
+
+/**
+ * Appends an event to the session journal and returns its cursor, null when the journal is off. The
+ * event is written in the background with the others of the same burst. The file is allowed to grow
+ * to one and a half times `APP_EVENT_JOURNAL_MAX_ENTRIES` before the oldest entries are dropped, so it
+ * is not rewritten on every event.
+ */
+const appendEvent = (sessionId, type, data) => {
+    if (maxEntries() <= 0) {
+        return null
+    }
+
+    try {
+        const journal = getJournal(sessionId)
+        const entry = { cursor: journal.lastCursor + 1, type, data, timestamp: Date.now() }
+
+        journal.buffer.push({ cursor: entry.cursor, text: encrypt(JSON.stringify(entry)) + '\n' })
+        journal.lastCursor = entry.cursor
+        flushJournal(sessionId, journal)
+
+        return entry.cursor
+    } catch (error) {
+        console.error('Unable to write event journal.', error.message)
+
+        return null
+    }
+}
+
+// Index of the first event after the cursor
+const firstAfter = (offsets, after) => {
+    let low = 0
+    let high = offsets.length
+
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2)
+
+        if (offsets[middle][0] > after) {
+            high = middle
+        } else {
+            low = middle + 1
+        }
+    }
+
+    return low
+}
+
+const readFrom = async (sessionId, journal, { after, types, limit }) => {
+    const matchesAll = types.length === 0 || types.includes('ALL')
+    // Events written while reading are left for the next poll
+    const { size } = journal
+    const offsets = journal.offsets.slice()
+    const events = []
+    let hasMore = false
+    let position = offsets[firstAfter(offsets, after)]?.[1] ?? size
+    let rest = Buffer.alloc(0)
+
+    while (position < size && !hasMore) {
+        const read = await readBytes(sessionId, position, Math.min(size, position + READ_CHUNK))
+        const chunk = Buffer.concat([rest, read])
+
+        if (read.length === 0) {
+            break
+        }
+
+        position += read.length
+
+        // A line going past the chunk is completed by the next read
+        const end = position < size ? chunk.lastIndexOf(0x0a) + 1 : chunk.length
+
+        rest = chunk.subarray(end)
+
+        for (const entry of chunk.toString('utf-8', 0, end).split('\n').map(parseLine)) {
+            if (!entry || (!matchesAll && !types.includes(entry.type))) {
+                continue
+            }
+
+            if (events.length === limit) {
+                hasMore = true
+                break
+            }
+
+            events.push(entry)
+        }
+    }
+
+    return {
+        events,
+        // Without more matching events the cursor skips the filtered out ones too
+        cursor: hasMore ? (events.at(-1)?.cursor ?? after) : Math.max(after, offsets.at(-1)?.[0] ?? 0),
+        hasMore,
+        // Events after the given cursor were already dropped from the journal
+        truncated: offsets.length > 0 && after < offsets[0][0] - 1,
+    }
+}
+
+/**
+ * Reads the events after the cursor, from where the first of them starts in the file. `ALL` in
+ * `types` matches every event like it does for the event stream.
+ */
+const readEvents = async (sessionId, { after = 0, types = [], limit = 100 } = {}) => {
+    const journal = getJournal(sessionId)
+
+    while (journal.flushing || journal.buffer.length > 0) {
+        await flushJournal(sessionId, journal)
+    }
+
+    journal.readers++
+
+    try {
+        return await readFrom(sessionId, journal, { after, types, limit })
+    } finally {
+        journal.readers--
+    }
+}
+
+// The event at the cursor, null once it was dropped from the journal
+const findEvent = async (sessionId, cursor) => {
+    const [event] = (await readEvents(sessionId, { after: cursor - 1, limit: 1 })).events
+
+    return event?.cursor === cursor ? event : null
+}
+
+/**
+ * Writes the events still waiting, before the process exits.
+ */
+const flushJournals = () => {
+    for (const [sessionId, journal] of journals) {
+        if (journal.buffer.length > 0) {
+            appendFileSync(
+                journalFile(sessionId),
+                journal.buffer
+                    .splice(0)
+                    .map(({ text }) => {
+                        return text
+                    })
+                    .join(''),
+            )
+        }
+    }
+}
+
+const removeJournal = (sessionId) => {
+    const journal = journals.get(sessionId)
+
+    if (journal) {
+        journal.buffer.length = 0
+    }
+
+    journals.delete(sessionId)
+    rmSync(journalFile(sessionId), { force: true })
+}
+
+export { appendEvent, readEvents, findEvent, flushJournals, removeJournal }
@@ -0,0 +1,108 @@
+import { sessionsDir, readSecureJsonFile, writeSecureJsonFile } from './../utils/functions.js'
+
+// Results by their scope, see `scopeKey`
+let results = null
+let flushTimer = null
+let pruneTimer = null
+
+const PRUNE_INTERVAL = 60000
+
+const resultsFile = () => {
+    return sessionsDir('idempotency.json')
+}
+
+const retention = () => {
+    return parseInt(process.env.APP_IDEMPOTENCY_RETENTION ?? 86400000)
+}
+
+const scopeKey = ({ apiKeyId, sessionId, key }) => {
+    return JSON.stringify([apiKeyId, sessionId, key])
+}
+
+const isExpired = (entry) => {
+    return entry.createdAt < Date.now() - retention()
+}
+
+const saveResults = () => {
+    clearTimeout(flushTimer)
+    flushTimer = null
+    writeSecureJsonFile(resultsFile(), [...getResults().values()])
+}
+
+// A result is kept with every request carrying a key, so they are written once a second at most
+const scheduleSave = () => {
+    if (flushTimer) {
+        return
+    }
+
+    flushTimer = setTimeout(() => {
+        try {
+            saveResults()
+        } catch (error) {
+            console.error('Unable to write idempotency results.', error.message)
+        }
+    }, 1000)
+}
+
+// Results older than `APP_IDEMPOTENCY_RETENTION` ms are dropped once a minute
+const pruneResults = () => {
+    let pruned = false
+
+    for (const [id, entry] of getResults()) {
+        if (isExpired(entry)) {
+            results.delete(id)
+            pruned = true
+        }
+    }
+
+    if (pruned) {
+        scheduleSave()
+    }
+}
+
+const getResults = () => {
+    if (!results) {
+        results = new Map(
+            readSecureJsonFile(resultsFile(), []).map((entry) => {
+                return [scopeKey(entry), entry]
+            }),
+        )
+        pruneTimer = setInterval(pruneResults, PRUNE_INTERVAL)
+        pruneTimer.unref()
+    }
+
+    return results
+}
+
+/**
+ * The answer given to the first request with this key, for the same API key and session.
+ */
+const findIdempotentResult = (scope) => {
+    const entry = getResults().get(scopeKey(scope))
+
+    // Until the next prune an expired result is only left out
+    return entry && !isExpired(entry) ? entry : null
+}
+
+const saveIdempotentResult = (scope, { fingerprint, statusCode, body }) => {
+    getResults().set(scopeKey(scope), { ...scope, fingerprint, statusCode, body, createdAt: Date.now() })
+    scheduleSave()
+}
+
+const removeIdempotentResults = (sessionId) => {
+    for (const [id, entry] of getResults()) {
+        if (entry.sessionId === sessionId) {
+            results.delete(id)
+        }
+    }
+
+    scheduleSave()
+}
+
+const flushIdempotentResults = () => {
+    if (flushTimer) {
+        saveResults()
+    }
+}
+
+export { findIdempotentResult, saveIdempotentResult, removeIdempotentResults, flushIdempotentResults }
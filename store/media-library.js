@@ -0,0 +1,192 @@
+import { randomUUID } from 'crypto'
+import { copyFileSync, mkdirSync, renameSync, rmSync, statSync } from 'fs'
+import { join, resolve } from 'path'
+import { sessionsDir, readJsonFile, writeJsonFile } from './../utils/functions.js'
+import { isUpload } from './../utils/upload.js'
+
+let library = null
+
+const libraryFile = () => {
+    return sessionsDir('media.json')
+}
+
+const mediaDir = () => {
+    return resolve(process.env.APP_MEDIA_DIR || sessionsDir('media'))
+}
+
+const numberEnv = (name, fallback) => {
+    return parseInt(process.env[name] ?? fallback)
+}
+
+const saveLibrary = () => {
+    writeJsonFile(libraryFile(), library)
+}
+
+const deleteEntry = (entry) => {
+    rmSync(entry.path, { force: true })
+    library = library.filter((item) => {
+        return item !== entry
+    })
+}
+
+// Expired media is dropped each time the library is read
+const getLibrary = () => {
+    if (!library) {
+        library = readJsonFile(libraryFile(), [])
+    }
+
+    const expired = library.filter((entry) => {
+        return entry.expiresAt !== null && entry.expiresAt <= Date.now()
+    })
+
+    if (expired.length > 0) {
+        expired.forEach(deleteEntry)
+        saveLibrary()
+    }
+
+    return library
+}
+
+// Uploads live on another disk when APP_UPLOAD_DIR is set, a rename cannot cross it
+const moveFile = (from, to) => {
+    try {
+        renameSync(from, to)
+    } catch {
+        copyFileSync(from, to)
+        rmSync(from, { force: true })
+    }
+}
+
+const listMedia = (sessionId) => {
+    return getLibrary().filter((entry) => {
+        return entry.sessionId === sessionId
+    })
+}
+
+const findMedia = (sessionId, mediaId) => {
+    return (
+        getLibrary().find((entry) => {
+            return entry.sessionId === sessionId && entry.id === mediaId
+        }) ?? null
+    )
+}
+
+/**
+ * Moves an uploaded file into the library. The same file uploaded twice to a session gives back the
+ * media it already has, with its expiry pushed back. Only files of the upload area are accepted, their
+ * `sha256` is the one computed while they were saved.
+ */
+const addMedia = (sessionId, { path, sha256, type, mimetype, fileName = null, ttl }) => {
+    if (!isUpload(path)) {
+        throw new Error('Only uploaded files can be added to the media library.')
+    }
+
+    const retention = ttl === undefined ? numberEnv('APP_MEDIA_RETENTION', 2592000000) : ttl * 1000
+    const expiresAt = retention > 0 ? Date.now() + retention : null
+    const existing = listMedia(sessionId).find((entry) => {
+        return entry.sha256 === sha256 && entry.type === type
+    })
+
+    if (existing) {
+        rmSync(path, { force: true })
+        Object.assign(existing, { expiresAt, updatedAt: Date.now() })
+        saveLibrary()
+
+        return existing
+    }
+
+    const id = randomUUID()
+    const entry = {
+        id,
+        sessionId,
+        type,
+        mimetype,
+        fileName,
+        size: statSync(path).size,
+        sha256,
+        path: join(mediaDir(), id),
+        upload: null,
+        uses: 0,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        lastUsedAt: null,
+        expiresAt,
+    }
+
+    mkdirSync(mediaDir(), { recursive: true })
+    moveFile(path, entry.path)
+    library.push(entry)
+    saveLibrary()
+
+    return entry
+}
+
+const removeMedia = (sessionId, mediaId) => {
+    const entry = findMedia(sessionId, mediaId)
+
+    if (entry) {
+        deleteEntry(entry)
+        saveLibrary()
+    }
+
+    return entry
+}
+
+const removeMediaLibrary = (sessionId) => {
+    listMedia(sessionId).forEach(deleteEntry)
+    saveLibrary()
+}
+
+/**
+ * Keeps what WhatsApp returned for the upload of the media (media key, direct path, hashes) so later
+ * sends reuse it, for `APP_MEDIA_UPLOAD_CACHE_TTL` ms. Given to Baileys as its `mediaCache`.
+ */
+const uploadCache = (entry) => {
+    return {
+        get(key) {
+            const { upload } = entry
+            const isFresh =
+                upload && Date.now() - upload.uploadedAt < numberEnv('APP_MEDIA_UPLOAD_CACHE_TTL', 604800000)
+
+            return isFresh && upload.key === key ? Buffer.from(upload.message, 'base64') : undefined
+        },
+        set(key, message) {
+            entry.upload = { key, message: Buffer.from(message).toString('base64'), uploadedAt: Date.now() }
+            saveLibrary()
+        },
+    }
+}
+
+/**
+ * The message to send for a message holding a `mediaId`, with the options to reuse its last upload.
+ */
+const libraryMessage = (sessionId, { mediaId, ...message }) => {
+    const entry = findMedia(sessionId, mediaId)
+
+    if (!entry) {
+        const error = new Error('The media does not exist anymore.')
+
+        error.permanent = true
+        throw error
+    }
+
+    Object.assign(entry, { uses: entry.uses + 1, lastUsedAt: Date.now() })
+    saveLibrary()
+
+    return {
+        message: {
+            ...message,
+            [entry.type]: { url: entry.path },
+            mimetype: message.mimetype ?? entry.mimetype,
+            ...(entry.type === 'document' ? { fileName: message.fileName ?? entry.fileName ?? entry.id } : {}),
+        },
+        mediaCache: uploadCache(entry),
+    }
+}
+
+// What the API shows of a media, the local path and the cached upload stay on the server
+const mediaInfo = ({ path, upload, ...entry }) => {
+    return { ...entry, uploadedAt: upload?.uploadedAt ?? null }
+}
+
+export { listMedia, findMedia, addMedia, removeMedia, removeMediaLibrary, libraryMessage, mediaInfo }
@@ -2,6 +2,10 @@ import fs from 'fs/promises';
 import path from 'path';
 import { jidNormalizedUser, toNumber, isLidUser } from 'baileys';
 import { EventEmitter } from 'events';
+import { encrypt, decrypt } from '../utils/encryption.js';
+
+// **Format of the serialized store, bump it when the layout changes**
+const STORE_VERSION = '2.0';
 
 class ConcurrentStore extends EventEmitter {
     constructor(options = {}) {
@@ -323,7 +327,8 @@ class ConcurrentStore extends EventEmitter {
 
         try {
             // Write to temporary file
-            await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+            // Encrypted when a master key is configured, see utils/encryption.js
+            await fs.writeFile(tempFile, encrypt(JSON.stringify(data, null, 2)));
 
             // Check that the temporary file is not empty
             const stats = await fs.stat(tempFile);
@@ -373,7 +378,7 @@ class ConcurrentStore extends EventEmitter {
                 return;
             }
 
-            const raw = await fs.readFile(file, 'utf-8');
+            const raw = decrypt(await fs.readFile(file, 'utf-8'));
 
             // **Verify that the content is not empty**
             if (!raw.trim()) {
@@ -795,7 +800,7 @@ class ConcurrentStore extends EventEmitter {
 
     async serializeStoreData() {
         return {
-            version: '2.0',
+            version: STORE_VERSION,
             timestamp: Date.now(),
             chats: [...this.chats.entries()],
             messages: Object.fromEntries(
@@ -942,4 +947,4 @@ function makeInMemoryStore(options = {}) {
 }
 
 export default makeInMemoryStore;
-export { ConcurrentStore };
+export { ConcurrentStore, STORE_VERSION };
@@ -0,0 +1,131 @@
+import { rmSync } from 'fs'
+import { sessionsDir, readJsonFile, writeJsonFile } from './../utils/functions.js'
+
+const statuses = new Map()
+
+// Indexed by WAMessageStatus, a message only moves forward through them
+const STATUSES = ['error', 'pending', 'server_ack', 'delivered', 'read', 'played']
+
+// Fields of a `message-receipt.update` receipt, in the order a recipient goes through them
+const RECEIPTS = [
+    { status: 'delivered', field: 'receiptTimestamp', at: 'deliveredAt' },
+    { status: 'read', field: 'readTimestamp', at: 'readAt' },
+    { status: 'played', field: 'playedTimestamp', at: 'playedAt' },
+]
+
+const statusFile = (sessionId) => {
+    return sessionsDir(`${sessionId}_statuses.json`)
+}
+
+const retention = () => {
+    return parseInt(process.env.APP_MESSAGE_STATUS_RETENTION ?? 604800000)
+}
+
+const getStatuses = (sessionId) => {
+    if (!statuses.has(sessionId)) {
+        statuses.set(sessionId, readJsonFile(statusFile(sessionId), []))
+    }
+
+    return statuses.get(sessionId)
+}
+
+// Messages not updated for `APP_MESSAGE_STATUS_RETENTION` ms are forgotten
+const saveStatuses = (sessionId) => {
+    const threshold = Date.now() - retention()
+    const list = getStatuses(sessionId).filter((entry) => {
+        return entry.updatedAt >= threshold
+    })
+
+    statuses.set(sessionId, list)
+    writeJsonFile(statusFile(sessionId), list)
+}
+
+const findMessageStatus = (sessionId, messageId) => {
+    return (
+        getStatuses(sessionId).find((entry) => {
+            return entry.id === messageId
+        }) ?? null
+    )
+}
+
+const moveStatus = (entry, status, at = Date.now()) => {
+    if (status !== 'error' && STATUSES.indexOf(status) <= STATUSES.indexOf(entry.status)) {
+        return false
+    }
+
+    entry.status = status
+    entry.history.push({ status, at })
+    entry.updatedAt = Date.now()
+
+    return true
+}
+
+/**
+ * Starts following a message sent by the session, `messageTimestamp` is in seconds as WhatsApp gives it.
+ */
+const trackMessage = (sessionId, { key, messageTimestamp, status = 1 }) => {
+    if (findMessageStatus(sessionId, key.id)) {
+        return
+    }
+
+    const entry = {
+        id: key.id,
+        remoteJid: key.remoteJid,
+        status: null,
+        messageTimestamp: Number(messageTimestamp),
+        history: [],
+        recipients: {},
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+    }
+
+    moveStatus(entry, STATUSES[status] ?? 'pending')
+    getStatuses(sessionId).push(entry)
+    saveStatuses(sessionId)
+}
+
+/**
+ * Applies a `messages.update` status, messages the session is not following are ignored.
+ */
+const recordMessageStatus = (sessionId, messageId, waStatus) => {
+    const entry = findMessageStatus(sessionId, messageId)
+
+    if (entry && STATUSES[waStatus] && moveStatus(entry, STATUSES[waStatus])) {
+        saveStatuses(sessionId)
+    }
+}
+
+/**
+ * Applies a `message-receipt.update` receipt of one participant of a group, its timestamps are in seconds.
+ */
+const recordReceipt = (sessionId, messageId, { userJid, ...receipt }) => {
+    const entry = findMessageStatus(sessionId, messageId)
+
+    if (!entry || !userJid) {
+        return
+    }
+
+    const recipient = entry.recipients[userJid] ?? { status: null, deliveredAt: null, readAt: null, playedAt: null }
+
+    for (const { field, at } of RECEIPTS) {
+        if (receipt[field]) {
+            recipient[at] = Number(receipt[field]) * 1000
+        }
+    }
+
+    recipient.status =
+        RECEIPTS.findLast(({ at }) => {
+            return recipient[at] !== null
+        })?.status ?? null
+
+    entry.recipients[userJid] = recipient
+    entry.updatedAt = Date.now()
+    saveStatuses(sessionId)
+}
+
+const removeMessageStatuses = (sessionId) => {
+    statuses.delete(sessionId)
+    rmSync(statusFile(sessionId), { force: true })
+}
+
+export { findMessageStatus, trackMessage, recordMessageStatus, recordReceipt, removeMessageStatuses }
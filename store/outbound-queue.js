@@ -0,0 +1,187 @@
+import { randomUUID } from 'crypto'
+import { EventEmitter } from 'events'
+import { rmSync } from 'fs'
+import { sessionsDir, readSecureJsonFile, writeSecureJsonFile } from './../utils/functions.js'
+
+const queues = new Map()
+
+// Emits `update` with the item each time its status changes
+const queueEvents = new EventEmitter()
+
+const PENDING_STATUSES = ['queued', 'sending', 'paused']
+
+const queueFile = (sessionId) => {
+    return sessionsDir(`${sessionId}_outbox.json`)
+}
+
+const retention = () => {
+    return parseInt(process.env.APP_QUEUE_RETENTION ?? 86400000)
+}
+
+// An item still sending when the API went down may not have been sent, it is tried again. This only
+// happens when the file is loaded, a send still running after a reconnection must not be repeated
+const requeueInterrupted = (queue) => {
+    for (const item of queue) {
+        if (item.status === 'sending') {
+            Object.assign(item, { status: 'queued', nextAttemptAt: Date.now(), updatedAt: Date.now() })
+        }
+    }
+
+    return queue
+}
+
+const getQueue = (sessionId) => {
+    if (!queues.has(sessionId)) {
+        queues.set(sessionId, requeueInterrupted(readSecureJsonFile(queueFile(sessionId), [])))
+    }
+
+    return queues.get(sessionId)
+}
+
+// Finished items are kept for `APP_QUEUE_RETENTION` ms so their status can still be read
+const saveQueue = (sessionId) => {
+    const threshold = Date.now() - retention()
+    const queue = getQueue(sessionId).filter((item) => {
+        return PENDING_STATUSES.includes(item.status) || item.updatedAt >= threshold
+    })
+
+    queues.set(sessionId, queue)
+    writeSecureJsonFile(queueFile(sessionId), queue)
+}
+
+const makeItem = (
+    sessionId,
+    { receiver, message, options = {}, isGroup = false, verifyReceiver = false, campaignId = null, uploads = [] },
+) => {
+    return {
+        id: randomUUID(),
+        sessionId,
+        receiver,
+        message,
+        options,
+        isGroup,
+        verifyReceiver,
+        campaignId,
+        // Files the server saved for the message, removed once it leaves the queue
+        uploads,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        error: null,
+        messageId: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        sentAt: null,
+    }
+}
+
+const enqueueMessage = (sessionId, data) => {
+    return enqueueMessages(sessionId, [data])[0]
+}
+
+// The file is written once for the whole batch
+const enqueueMessages = (sessionId, list) => {
+    const items = list.map((data) => {
+        return makeItem(sessionId, data)
+    })
+
+    getQueue(sessionId).push(...items)
+    saveQueue(sessionId)
+
+    return items
+}
+
+const findQueueItem = (sessionId, itemId) => {
+    return (
+        getQueue(sessionId).find((item) => {
+            return item.id === itemId
+        }) ?? null
+    )
+}
+
+const updateQueueItem = (sessionId, itemId, changes) => {
+    const item = findQueueItem(sessionId, itemId)
+
+    if (!item) {
+        return null
+    }
+
+    Object.assign(item, changes, { updatedAt: Date.now() })
+    saveQueue(sessionId)
+    queueEvents.emit('update', item)
+
+    return item
+}
+
+/**
+ * Moves the items of a campaign from one of the given statuses to another, returns how many were moved.
+ */
+const updateCampaignItems = (sessionId, campaignId, fromStatuses, changes) => {
+    const items = getQueue(sessionId).filter((item) => {
+        return item.campaignId === campaignId && fromStatuses.includes(item.status)
+    })
+
+    for (const item of items) {
+        Object.assign(item, changes, { updatedAt: Date.now() })
+    }
+
+    saveQueue(sessionId)
+
+    for (const item of items) {
+        queueEvents.emit('update', item)
+    }
+
+    return items.length
+}
+
+const listQueue = (sessionId, { status } = {}) => {
+    return getQueue(sessionId).filter((item) => {
+        return !status || item.status === status
+    })
+}
+
+const countPending = (sessionId) => {
+    return getQueue(sessionId).filter((item) => {
+        return PENDING_STATUSES.includes(item.status)
+    }).length
+}
+
+/**
+ * The oldest queued item whose retry time has come, or the time the next one is due.
+ */
+const nextQueueItem = (sessionId) => {
+    const queued = getQueue(sessionId).filter((item) => {
+        return item.status === 'queued'
+    })
+    const item = queued.find((entry) => {
+        return entry.nextAttemptAt <= Date.now()
+    })
+
+    if (item) {
+        return { item }
+    }
+
+    const times = queued.map((entry) => {
+        return entry.nextAttemptAt
+    })
+
+    return { item: null, nextAttemptAt: times.length > 0 ? Math.min(...times) : null }
+}
+
+const removeQueue = (sessionId) => {
+    queues.delete(sessionId)
+    rmSync(queueFile(sessionId), { force: true })
+}
+
+export {
+    queueEvents,
+    enqueueMessage,
+    enqueueMessages,
+    findQueueItem,
+    updateQueueItem,
+    updateCampaignItems,
+    listQueue,
+    countPending,
+    nextQueueItem,
+    removeQueue,
+}
@@ -0,0 +1,179 @@
+import { randomUUID } from 'crypto'
+import { sessionsDir, readSecureJsonFile, writeSecureJsonFile } from './../utils/functions.js'
+import { nextCronRun } from './../utils/cron.js'
+
+let schedules = null
+
+const schedulesFile = () => {
+    return sessionsDir('schedules.json')
+}
+
+const getSchedules = () => {
+    if (!schedules) {
+        schedules = readSecureJsonFile(schedulesFile(), [])
+    }
+
+    return schedules
+}
+
+const saveSchedules = () => {
+    writeSecureJsonFile(schedulesFile(), getSchedules())
+}
+
+// A one-time schedule runs at `sendAt`, a recurring one at the next time matching its `cron`
+const nextRunOf = (schedule, after = Date.now()) => {
+    if (schedule.cron) {
+        return nextCronRun(schedule.cron, after, schedule.timezone)
+    }
+
+    return schedule.runs === 0 ? schedule.sendAt : null
+}
+
+const createSchedule = (
+    sessionId,
+    { receiver, isGroup = false, message, sendAt = null, cron = null, timezone = 'UTC', catchUp = 'once' },
+) => {
+    const schedule = {
+        id: randomUUID(),
+        sessionId,
+        receiver,
+        isGroup,
+        message,
+        sendAt,
+        cron,
+        timezone,
+        catchUp,
+        status: 'active',
+        nextRunAt: null,
+        lastRunAt: null,
+        lastItemId: null,
+        runs: 0,
+        skippedRuns: 0,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+    }
+
+    schedule.nextRunAt = nextRunOf(schedule)
+    getSchedules().push(schedule)
+    saveSchedules()
+
+    return schedule
+}
+
+const listSchedules = (sessionId) => {
+    return getSchedules().filter((schedule) => {
+        return schedule.sessionId === sessionId
+    })
+}
+
+const findSchedule = (sessionId, scheduleId) => {
+    return (
+        getSchedules().find((schedule) => {
+            return schedule.sessionId === sessionId && schedule.id === scheduleId
+        }) ?? null
+    )
+}
+
+/**
+ * Applies the changes and works the next run out again, a paused schedule has none.
+ */
+const updateSchedule = (sessionId, scheduleId, changes) => {
+    const schedule = findSchedule(sessionId, scheduleId)
+
+    if (!schedule) {
+        return null
+    }
+
+    Object.assign(schedule, changes, { updatedAt: Date.now() })
+
+    // Moving a one-time schedule makes it run again
+    if (changes.sendAt !== undefined) {
+        schedule.runs = 0
+    }
+
+    if (changes.sendAt !== undefined || changes.cron !== undefined) {
+        schedule.status = changes.status ?? 'active'
+    }
+
+    schedule.nextRunAt = schedule.status === 'active' ? nextRunOf(schedule) : null
+
+    if (schedule.status === 'active' && schedule.nextRunAt === null) {
+        schedule.status = 'completed'
+    }
+
+    saveSchedules()
+
+    return schedule
+}
+
+const removeSchedule = (sessionId, scheduleId) => {
+    const schedule = findSchedule(sessionId, scheduleId)
+
+    if (schedule) {
+        schedules = getSchedules().filter((entry) => {
+            return entry !== schedule
+        })
+        saveSchedules()
+    }
+
+    return schedule
+}
+
+const removeSchedules = (sessionId) => {
+    schedules = getSchedules().filter((schedule) => {
+        return schedule.sessionId !== sessionId
+    })
+    saveSchedules()
+}
+
+const dueSchedules = (now = Date.now()) => {
+    return getSchedules().filter((schedule) => {
+        return schedule.status === 'active' && schedule.nextRunAt !== null && schedule.nextRunAt <= now
+    })
+}
+
+const nextDueAt = () => {
+    const times = getSchedules()
+        .filter((schedule) => {
+            return schedule.status === 'active' && schedule.nextRunAt !== null
+        })
+        .map((schedule) => {
+            return schedule.nextRunAt
+        })
+
+    return times.length > 0 ? Math.min(...times) : null
+}
+
+/**
+ * Records a run, sent or skipped, and moves the schedule to its next run after `now`. Runs missed
+ * in between are not made up for, a one-time schedule is completed.
+ */
+const recordRun = (schedule, { sent, itemId = null, now = Date.now() }) => {
+    Object.assign(schedule, {
+        runs: schedule.runs + 1,
+        skippedRuns: schedule.skippedRuns + (sent ? 0 : 1),
+        lastRunAt: sent ? now : schedule.lastRunAt,
+        lastItemId: sent ? itemId : schedule.lastItemId,
+        updatedAt: now,
+    })
+
+    schedule.nextRunAt = nextRunOf(schedule, now)
+
+    if (schedule.nextRunAt === null) {
+        schedule.status = 'completed'
+    }
+
+    saveSchedules()
+}
+
+export {
+    createSchedule,
+    listSchedules,
+    findSchedule,
+    updateSchedule,
+    removeSchedule,
+    removeSchedules,
+    dueSchedules,
+    nextDueAt,
+    recordRun,
+}
@@ -0,0 +1,76 @@
+import { sessionsDir, readJsonFile, writeJsonFile } from './../utils/functions.js'
+
+let registry = null
+
+const registryFile = () => {
+    return sessionsDir('registry.json')
+}
+
+const getRegistry = () => {
+    if (!registry) {
+        registry = readJsonFile(registryFile(), {})
+    }
+
+    return registry
+}
+
+const saveRegistry = () => {
+    writeJsonFile(registryFile(), getRegistry())
+}
+
+const getSessionInfo = (sessionId) => {
+    return getRegistry()[sessionId] ?? null
+}
+
+const listSessionInfo = () => {
+    return Object.values(getRegistry())
+}
+
+/**
+ * Adds the session to the registry if it is not there yet, existing entries are left untouched.
+ */
+const registerSession = (sessionId, { tags = [], owner = null, metadata = {} } = {}) => {
+    if (!getRegistry()[sessionId]) {
+        getRegistry()[sessionId] = {
+            id: sessionId,
+            createdAt: Date.now(),
+            lastConnectedAt: null,
+            jid: null,
+            phoneNumber: null,
+            name: null,
+            deviceName: null,
+            platform: null,
+            tags,
+            owner,
+            metadata,
+            lastDisconnect: null,
+            stopped: false,
+        }
+
+        saveRegistry()
+    }
+
+    return getRegistry()[sessionId]
+}
+
+const updateSessionInfo = (sessionId, changes) => {
+    const info = getRegistry()[sessionId]
+
+    if (!info) {
+        return null
+    }
+
+    Object.assign(info, changes, { id: sessionId })
+    saveRegistry()
+
+    return info
+}
+
+const removeSessionInfo = (sessionId) => {
+    if (getRegistry()[sessionId]) {
+        delete getRegistry()[sessionId]
+        saveRegistry()
+    }
+}
+
+export { getSessionInfo, listSessionInfo, registerSession, updateSessionInfo, removeSessionInfo }
@@ -0,0 +1,74 @@
+import { sessionsDir, readSecureJsonFile, writeSecureJsonFile } from './../utils/functions.js'
+
+let templates = null
+
+const templatesFile = () => {
+    return sessionsDir('templates.json')
+}
+
+const getTemplates = () => {
+    if (!templates) {
+        templates = readSecureJsonFile(templatesFile(), [])
+    }
+
+    return templates
+}
+
+const saveTemplates = () => {
+    writeSecureJsonFile(templatesFile(), getTemplates())
+}
+
+const listTemplates = (sessionId) => {
+    return getTemplates().filter((template) => {
+        return template.sessionId === sessionId
+    })
+}
+
+// Template names are unique within a session
+const findTemplate = (sessionId, name) => {
+    return (
+        getTemplates().find((template) => {
+            return template.sessionId === sessionId && template.name === name
+        }) ?? null
+    )
+}
+
+const saveTemplate = (sessionId, name, message) => {
+    const existing = findTemplate(sessionId, name)
+
+    if (existing) {
+        Object.assign(existing, { message, updatedAt: Date.now() })
+        saveTemplates()
+
+        return existing
+    }
+
+    const template = { name, sessionId, message, createdAt: Date.now(), updatedAt: Date.now() }
+
+    getTemplates().push(template)
+    saveTemplates()
+
+    return template
+}
+
+const removeTemplate = (sessionId, name) => {
+    const template = findTemplate(sessionId, name)
+
+    if (template) {
+        templates = getTemplates().filter((entry) => {
+            return entry !== template
+        })
+        saveTemplates()
+    }
+
+    return template
+}
+
+const removeTemplates = (sessionId) => {
+    templates = getTemplates().filter((template) => {
+        return template.sessionId !== sessionId
+    })
+    saveTemplates()
+}
+
+export { listTemplates, findTemplate, saveTemplate, removeTemplate, removeTemplates }
@@ -0,0 +1,200 @@
+import { rmSync } from 'fs'
+import { sessionsDir, readSecureJsonFile, writeSecureJsonFile } from './../utils/functions.js'
+
+const logs = new Map()
+const flushTimers = new Map()
+
+const SNIPPET_LENGTH = 500
+
+// Headers holding credentials are not written to the log
+const SECRET_HEADER = /authorization|token|secret|signature|api-?key|cookie|password/i
+
+const logFile = (sessionId) => {
+    return sessionsDir(`${sessionId}_webhook_log.json`)
+}
+
+const maxEntries = () => {
+    return parseInt(process.env.APP_WEBHOOK_LOG_MAX_ENTRIES ?? 1000)
+}
+
+const maxBytes = () => {
+    return parseInt(process.env.APP_WEBHOOK_LOG_MAX_BYTES ?? 5242880)
+}
+
+const getLog = (sessionId) => {
+    if (!logs.has(sessionId)) {
+        logs.set(sessionId, readSecureJsonFile(logFile(sessionId), []))
+    }
+
+    return logs.get(sessionId)
+}
+
+// Drops the oldest entries until the log fits in `APP_WEBHOOK_LOG_MAX_BYTES`
+const trimLog = (log) => {
+    const sizes = log.map((entry) => {
+        return Buffer.byteLength(JSON.stringify(entry))
+    })
+    let total = sizes.reduce((sum, size) => {
+        return sum + size
+    }, 0)
+    let dropped = 0
+
+    while (total > maxBytes() && dropped < log.length) {
+        total -= sizes[dropped]
+        dropped++
+    }
+
+    log.splice(0, dropped)
+}
+
+const flushLog = (sessionId) => {
+    clearTimeout(flushTimers.get(sessionId))
+    flushTimers.delete(sessionId)
+
+    if (logs.has(sessionId)) {
+        trimLog(logs.get(sessionId))
+        writeSecureJsonFile(logFile(sessionId), logs.get(sessionId))
+    }
+}
+
+// Attempts come in bursts, so writes are coalesced instead of rewriting the file for each one
+const scheduleFlush = (sessionId) => {
+    if (flushTimers.has(sessionId)) {
+        return
+    }
+
+    flushTimers.set(
+        sessionId,
+        setTimeout(() => {
+            try {
+                flushLog(sessionId)
+            } catch (error) {
+                console.error('Unable to write webhook log.', error.message)
+            }
+        }, 1000),
+    )
+}
+
+const toSnippet = (data) => {
+    if (data === undefined || data === null || data === '') {
+        return null
+    }
+
+    const text = typeof data === 'string' ? data : JSON.stringify(data)
+
+    return text.slice(0, SNIPPET_LENGTH)
+}
+
+const redactHeaders = (headers = {}) => {
+    return Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => {
+            return [name, SECRET_HEADER.test(name) ? '[redacted]' : value]
+        }),
+    )
+}
+
+/**
+ * Logs a delivery without its payload, the event it carries is found in the event journal by `eventCursor`.
+ */
+const logDelivery = (delivery) => {
+    const log = getLog(delivery.sessionId)
+
+    log.push({
+        id: delivery.id,
+        sessionId: delivery.sessionId,
+        webhookId: delivery.webhookId,
+        url: delivery.url,
+        type: delivery.payload.type,
+        headers: redactHeaders(delivery.headers),
+        eventCursor: delivery.eventCursor ?? null,
+        status: 'pending',
+        attempts: [],
+        replayOf: delivery.replayOf ?? null,
+        replayedBy: null,
+        createdAt: delivery.createdAt,
+        updatedAt: delivery.createdAt,
+    })
+
+    if (log.length > maxEntries()) {
+        log.splice(0, log.length - maxEntries())
+    }
+
+    scheduleFlush(delivery.sessionId)
+}
+
+const logAttempt = (delivery, { statusCode = null, latency, response, error = null }, status) => {
+    const entry = findDelivery(delivery.sessionId, delivery.id)
+
+    if (!entry) {
+        return
+    }
+
+    entry.attempts.push({
+        attempt: delivery.attempts,
+        at: Date.now(),
+        statusCode,
+        latency,
+        response: toSnippet(response),
+        error,
+    })
+    entry.status = status
+    entry.updatedAt = Date.now()
+
+    scheduleFlush(delivery.sessionId)
+}
+
+const markReplayed = (sessionId, deliveryId, replayId) => {
+    const entry = findDelivery(sessionId, deliveryId)
+
+    if (entry) {
+        entry.replayedBy = replayId
+        entry.updatedAt = Date.now()
+        scheduleFlush(sessionId)
+    }
+}
+
+const findDelivery = (sessionId, deliveryId) => {
+    return (
+        getLog(sessionId).find((entry) => {
+            return entry.id === deliveryId
+        }) ?? null
+    )
+}
+
+const toTime = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null
+    }
+
+    return isNaN(value) ? new Date(value).getTime() : parseInt(value)
+}
+
+const filterDeliveries = (sessionId, { status, type, webhookId, from, to } = {}) => {
+    const fromTime = toTime(from)
+    const toTimeValue = toTime(to)
+
+    return getLog(sessionId).filter((entry) => {
+        return (
+            (!status || entry.status === status) &&
+            (!type || entry.type === type) &&
+            (!webhookId || entry.webhookId === webhookId) &&
+            (fromTime === null || entry.createdAt >= fromTime) &&
+            (toTimeValue === null || entry.createdAt <= toTimeValue)
+        )
+    })
+}
+
+const removeLog = (sessionId) => {
+    clearTimeout(flushTimers.get(sessionId))
+    flushTimers.delete(sessionId)
+    logs.delete(sessionId)
+    rmSync(logFile(sessionId), { force: true })
+}
+
+const flushLogs = () => {
+    for (const sessionId of flushTimers.keys()) {
+        flushLog(sessionId)
+    }
+}
+
+export { logDelivery, logAttempt, markReplayed, findDelivery, filterDeliveries, removeLog, flushLogs }
@@ -0,0 +1,88 @@
+import { randomUUID } from 'crypto'
+import { rmSync } from 'fs'
+import { sessionsDir, readSecureJsonFile, writeSecureJsonFile } from './../utils/functions.js'
+
+const webhooks = new Map()
+
+const webhooksFile = (sessionId) => {
+    return sessionsDir(`${sessionId}_webhooks.json`)
+}
+
+const getWebhooks = (sessionId) => {
+    if (!webhooks.has(sessionId)) {
+        webhooks.set(sessionId, readSecureJsonFile(webhooksFile(sessionId), []))
+    }
+
+    return webhooks.get(sessionId)
+}
+
+const saveWebhooks = (sessionId, list) => {
+    webhooks.set(sessionId, list)
+    writeSecureJsonFile(webhooksFile(sessionId), list)
+}
+
+const findWebhook = (sessionId, webhookId) => {
+    return (
+        getWebhooks(sessionId).find((webhook) => {
+            return webhook.id === webhookId
+        }) ?? null
+    )
+}
+
+const addWebhook = (sessionId, { url, events = ['ALL'], headers = {}, secret = null, enabled = true }) => {
+    const webhook = {
+        id: randomUUID(),
+        url,
+        events,
+        headers,
+        secret,
+        enabled,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+    }
+
+    saveWebhooks(sessionId, [...getWebhooks(sessionId), webhook])
+
+    return webhook
+}
+
+const updateWebhook = (sessionId, webhookId, changes) => {
+    const webhook = findWebhook(sessionId, webhookId)
+
+    if (!webhook) {
+        return null
+    }
+
+    const updated = { ...webhook, ...changes, id: webhook.id, updatedAt: Date.now() }
+
+    saveWebhooks(
+        sessionId,
+        getWebhooks(sessionId).map((item) => {
+            return item.id === webhookId ? updated : item
+        }),
+    )
+
+    return updated
+}
+
+const removeWebhook = (sessionId, webhookId) => {
+    const list = getWebhooks(sessionId)
+    const filtered = list.filter((webhook) => {
+        return webhook.id !== webhookId
+    })
+
+    if (filtered.length === list.length) {
+        return false
+    }
+
+    saveWebhooks(sessionId, filtered)
+
+    return true
+}
+
+const removeWebhooks = (sessionId) => {
+    webhooks.delete(sessionId)
+    rmSync(webhooksFile(sessionId), { force: true })
+}
+
+export { getWebhooks, findWebhook, addWebhook, updateWebhook, removeWebhook, removeWebhooks }
@@ -0,0 +1,198 @@
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    {
+        name: 'month',
+        min: 1,
+        max: 12,
+        names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+]
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+
+// Expressions that never match, like `0 0 30 2 *`, stop being searched after five years
+const SEARCH_LIMIT = 5 * 366 * 86400000
+
+const formatters = new Map()
+
+const parseValue = (text, field) => {
+    const index = field.names?.indexOf(text.toLowerCase()) ?? -1
+    const value = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(text)
+
+    if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} value: ${text}.`)
+    }
+
+    return value
+}
+
+const parseField = (text, field) => {
+    const values = new Set()
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/')
+        const step = stepText === undefined ? 1 : Number(stepText)
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid ${field.name} step: ${part}.`)
+        }
+
+        let [start, end] = [field.min, field.max]
+
+        if (range !== '*') {
+            const [from, to, ...rest] = range.split('-')
+
+            if (rest.length > 0) {
+                throw new Error(`Invalid ${field.name} range: ${part}.`)
+            }
+
+            start = parseValue(from, field)
+            // `5/15` runs from 5 to the end of the range
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field)
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid ${field.name} range: ${part}.`)
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value)
+        }
+    }
+
+    return values
+}
+
+/**
+ * Parses a five field cron expression (`minute hour day-of-month month day-of-week`) or one of the
+ * `@daily` style macros, throws when it is invalid.
+ */
+const parseCron = (expression) => {
+    const text = String(expression).trim()
+    const parts = (MACROS[text.toLowerCase()] ?? text).split(/\s+/)
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error('A cron expression has five fields: minute hour day-of-month month day-of-week.')
+    }
+
+    const cron = {}
+
+    for (const [index, field] of FIELDS.entries()) {
+        cron[field.name] = parseField(parts[index], field)
+    }
+
+    // As in cron, when both days are restricted a day matching either of them matches
+    cron.anyDayOfMonth = parts[2] === '*'
+    cron.anyDayOfWeek = parts[4] === '*'
+
+    return cron
+}
+
+const isValidCron = (expression) => {
+    try {
+        parseCron(expression)
+
+        return true
+    } catch {
+        return false
+    }
+}
+
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone }) // eslint-disable-line no-new
+
+        return true
+    } catch {
+        return false
+    }
+}
+
+const localTime = (timestamp, timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(
+            timeZone,
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                month: 'numeric',
+                day: 'numeric',
+                weekday: 'short',
+                hour: 'numeric',
+                minute: 'numeric',
+            }),
+        )
+    }
+
+    const parts = Object.fromEntries(
+        formatters
+            .get(timeZone)
+            .formatToParts(timestamp)
+            .map(({ type, value }) => {
+                return [type, value]
+            }),
+    )
+
+    return {
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: WEEKDAYS[parts.weekday],
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+    }
+}
+
+const matchesDay = (cron, time) => {
+    if (!cron.month.has(time.month)) {
+        return false
+    }
+
+    const dayOfMonth = cron.dayOfMonth.has(time.day)
+    const dayOfWeek = cron.dayOfWeek.has(time.weekday)
+
+    if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) {
+        return dayOfMonth || dayOfWeek
+    }
+
+    return dayOfMonth && dayOfWeek
+}
+
+/**
+ * The first time after `after` matching the expression in the time zone, or null when there is none.
+ */
+const nextCronRun = (expression, after = Date.now(), timeZone = 'UTC') => {
+    const cron = parseCron(expression)
+    let timestamp = Math.floor(after / 60000) * 60000 + 60000
+
+    while (timestamp <= after + SEARCH_LIMIT) {
+        const time = localTime(timestamp, timeZone)
+
+        // Skipping to 23:00 rather than midnight stays right on days made shorter or longer by DST
+        if (!matchesDay(cron, time)) {
+            timestamp += (time.hour < 23 ? (23 - time.hour) * 60 - time.minute : 60 - time.minute) * 60000
+        } else if (!cron.hour.has(time.hour)) {
+            timestamp += (60 - time.minute) * 60000
+        } else if (cron.minute.has(time.minute)) {
+            return timestamp
+        } else {
+            timestamp += 60000
+        }
+    }
+
+    return null
+}
+
+export { parseCron, isValidCron, isValidTimezone, nextCronRun }
@@ -0,0 +1,124 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto'
+import { readFileSync } from 'fs'
+
+const PREFIX = 'enc:v1:'
+const CIPHER = 'aes-256-gcm'
+
+let cachedKey
+
+/**
+ * Parses a 32 bytes key written in hex or base64.
+ */
+const parseKey = (value) => {
+    const text = String(value).trim()
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64')
+
+    if (key.length !== 32) {
+        throw new Error('The encryption key must be 32 bytes, hex or base64 encoded.')
+    }
+
+    return key
+}
+
+/**
+ * The master key from `APP_ENCRYPTION_KEY` or the file at `APP_ENCRYPTION_KEY_FILE`, null when encryption is off.
+ */
+const getMasterKey = () => {
+    if (cachedKey === undefined) {
+        const { APP_ENCRYPTION_KEY: key, APP_ENCRYPTION_KEY_FILE: keyFile } = process.env
+
+        cachedKey = key ? parseKey(key) : keyFile ? parseKey(readFileSync(keyFile, 'utf-8')) : null
+    }
+
+    return cachedKey
+}
+
+const isEncryptionEnabled = () => {
+    return getMasterKey() !== null
+}
+
+const isEncrypted = (text) => {
+    return typeof text === 'string' && text.startsWith(PREFIX)
+}
+
+// Short fingerprint stored with every value, so a wrong key is reported instead of failing the auth tag check
+const keyId = (key) => {
+    return createHash('sha256').update(key).digest('hex').slice(0, 8)
+}
+
+const seal = (key, data) => {
+    const iv = randomBytes(12)
+    const cipher = createCipheriv(CIPHER, key, iv)
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()])
+
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted])
+}
+
+const unseal = (key, sealed) => {
+    const decipher = createDecipheriv(CIPHER, key, sealed.subarray(0, 12))
+
+    decipher.setAuthTag(sealed.subarray(12, 28))
+
+    return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()])
+}
+
+const parseValue = (text) => {
+    const [id, wrappedKey, data] = text.slice(PREFIX.length).split(':')
+
+    return { id, wrappedKey: Buffer.from(wrappedKey, 'base64'), data: Buffer.from(data, 'base64') }
+}
+
+const unwrapKey = (text, key) => {
+    if (!key) {
+        throw new Error('The data is encrypted but no encryption key is configured.')
+    }
+
+    const value = parseValue(text)
+
+    if (value.id !== keyId(key)) {
+        throw new Error(`The data is encrypted with another key (${value.id}).`)
+    }
+
+    return { ...value, dataKey: unseal(key, value.wrappedKey) }
+}
+
+/**
+ * Envelope encryption: every value gets its own data key, stored next to it encrypted with the
+ * master key, so rotating the master key only rewraps the data keys. Without a master key the
+ * text is returned as is.
+ */
+const encrypt = (text, key = getMasterKey()) => {
+    if (!key) {
+        return text
+    }
+
+    const dataKey = randomBytes(32)
+
+    return (
+        PREFIX +
+        [keyId(key), seal(key, dataKey).toString('base64'), seal(dataKey, Buffer.from(text)).toString('base64')].join(
+            ':',
+        )
+    )
+}
+
+/**
+ * Plaintext is returned as is, so sessions written before encryption was enabled keep working.
+ */
+const decrypt = (text, key = getMasterKey()) => {
+    if (!isEncrypted(text)) {
+        return text
+    }
+
+    const { dataKey, data } = unwrapKey(text, key)
+
+    return unseal(dataKey, data).toString('utf-8')
+}
+
+const rewrap = (text, oldKey, newKey) => {
+    const { dataKey, data } = unwrapKey(text, oldKey)
+
+    return PREFIX + [keyId(newKey), seal(newKey, dataKey).toString('base64'), data.toString('base64')].join(':')
+}
+
+export { parseKey, getMasterKey, isEncryptionEnabled, isEncrypted, encrypt, decrypt, rewrap }
@@ -0,0 +1,99 @@
+import { EventEmitter } from 'events'
+
+const emitter = new EventEmitter()
+const recentEvents = []
+
+emitter.setMaxListeners(0)
+
+// Seeded with the boot time so ids keep growing across restarts and an old Last-Event-ID never skips new events
+let lastId = Date.now()
+
+const bufferSize = () => {
+    return parseInt(process.env.APP_EVENT_STREAM_BUFFER ?? 1000)
+}
+
+const toList = (value) => {
+    if (!value) {
+        return []
+    }
+
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => {
+            return item.trim()
+        })
+        .filter(Boolean)
+}
+
+/**
+ * Builds a filter from comma separated `sessions` and `types` values, an empty list matches everything.
+ */
+const parseFilter = ({ sessions, types } = {}) => {
+    return { sessions: toList(sessions), types: toList(types) }
+}
+
+/**
+ * Narrows the filter to the sessions an API key may use, null when none of the requested sessions is allowed.
+ */
+const restrictFilter = (filter, allowedSessions) => {
+    if (allowedSessions.includes('*')) {
+        return filter
+    }
+
+    const sessions =
+        filter.sessions.length === 0
+            ? allowedSessions
+            : filter.sessions.filter((sessionId) => {
+                  return allowedSessions.includes(sessionId)
+              })
+
+    return sessions.length === 0 ? null : { ...filter, sessions }
+}
+
+const matchesFilter = (filter, event) => {
+    return (
+        (filter.sessions.length === 0 || filter.sessions.includes(event.instance)) &&
+        (filter.types.length === 0 || filter.types.includes('ALL') || filter.types.includes(event.type))
+    )
+}
+
+const publishEvent = (instance, type, data) => {
+    const event = { id: ++lastId, instance, type, data, timestamp: Date.now() }
+
+    recentEvents.push(event)
+
+    if (recentEvents.length > bufferSize()) {
+        recentEvents.splice(0, recentEvents.length - bufferSize())
+    }
+
+    emitter.emit('event', event)
+
+    return event
+}
+
+const subscribeEvents = (filter, listener) => {
+    const handler = (event) => {
+        if (matchesFilter(filter, event)) {
+            listener(event)
+        }
+    }
+
+    emitter.on('event', handler)
+
+    return () => {
+        emitter.off('event', handler)
+    }
+}
+
+const eventsSince = (lastEventId, filter) => {
+    const id = parseInt(lastEventId)
+
+    if (isNaN(id)) {
+        return []
+    }
+
+    return recentEvents.filter((event) => {
+        return event.id > id && matchesFilter(filter, event)
+    })
+}
+
+export { parseFilter, restrictFilter, publishEvent, subscribeEvents, eventsSince }
@@ -1,4 +1,7 @@
 import fs from 'fs'
+import { join } from 'path'
+import __dirname from './../dirname.js'
+import { encrypt, decrypt } from './encryption.js'
 
 const compareAndFilter = (array1, array2) => {
     return array1.filter((item) => {
@@ -18,6 +21,27 @@ const fileExists = (path) => {
     return Boolean(fs.existsSync(path))
 }
 
+// Why the media of a message cannot be sent, or null when it can
+const mediaMessageError = (message) => {
+    const media = compareAndFilter(Object.keys(message), ['image', 'video', 'audio', 'document', 'sticker'])
+
+    if (media.length === 0) {
+        return null
+    }
+
+    const url = message[media[0]]?.url
+
+    if (!url?.length) {
+        return 'The URL is invalid or empty.'
+    }
+
+    if (!isUrlValid(url) && !fileExists(url)) {
+        return 'The file or url does not exist.'
+    }
+
+    return null
+}
+
 const deleteFile = async (path) => {
     return new Promise((resolve, reject) => {
         fs.unlink(path, (err) => {
@@ -26,4 +50,67 @@ const deleteFile = async (path) => {
     })
 }
 
-export { compareAndFilter, isUrlValid, fileExists, deleteFile }
+const sessionsDir = (sessionId = '') => {
+    return join(__dirname, 'sessions', sessionId ? sessionId : '')
+}
+
+const readJsonFile = (path, fallback = null) => {
+    try {
+        return JSON.parse(fs.readFileSync(path, 'utf-8'))
+    } catch {
+        return fallback
+    }
+}
+
+const writeFileAtomic = (path, text) => {
+    const tempFile = `${path}.tmp.${Date.now()}`
+
+    fs.writeFileSync(tempFile, text)
+    fs.renameSync(tempFile, path)
+}
+
+const writeJsonFile = (path, data) => {
+    writeFileAtomic(path, JSON.stringify(data, null, 2))
+}
+
+/**
+ * Reads a file written by `writeSecureJsonFile`, plaintext files are read as they are. A missing file
+ * gives the fallback, a file that cannot be decrypted throws so it is not replaced by an empty one.
+ */
+const readSecureJsonFile = (path, fallback = null) => {
+    let text
+
+    try {
+        text = fs.readFileSync(path, 'utf-8')
+    } catch {
+        return fallback
+    }
+
+    const raw = decrypt(text)
+
+    try {
+        return JSON.parse(raw)
+    } catch {
+        return fallback
+    }
+}
+
+/**
+ * Same as `writeJsonFile` for files holding message contents or secrets, encrypted when a master key is configured.
+ */
+const writeSecureJsonFile = (path, data) => {
+    writeFileAtomic(path, encrypt(JSON.stringify(data, null, 2)))
+}
+
+export {
+    compareAndFilter,
+    isUrlValid,
+    fileExists,
+    mediaMessageError,
+    deleteFile,
+    sessionsDir,
+    readJsonFile,
+    writeJsonFile,
+    readSecureJsonFile,
+    writeSecureJsonFile,
+}
@@ -0,0 +1,70 @@
+import { formatPhone } from './../whatsapp.js'
+
+const MESSAGE_TYPES = ['poll', 'location', 'contact', 'reaction', 'liveLocation']
+
+const vcardValue = (value) => {
+    return String(value)
+        .replace(/[\\,;]/g, '\\$&')
+        .replace(/\r?\n/g, '\\n')
+}
+
+const vcard = ({ fullName, phoneNumber, organization, email }) => {
+    const waid = phoneNumber.replace(/\D/g, '')
+
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${vcardValue(fullName)}`,
+        organization ? `ORG:${vcardValue(organization)};` : null,
+        `TEL;type=CELL;type=VOICE;waid=${waid}:${phoneNumber}`,
+        email ? `EMAIL:${email}` : null,
+        'END:VCARD',
+    ]
+        .filter(Boolean)
+        .join('\n')
+}
+
+const builders = {
+    poll({ name, options, selectableCount = 1 }) {
+        return { poll: { name, values: options, selectableCount: Number(selectableCount) } }
+    },
+    location({ latitude, longitude, name, address }) {
+        return { location: { degreesLatitude: Number(latitude), degreesLongitude: Number(longitude), name, address } }
+    },
+    contact(contact) {
+        return { contacts: { displayName: contact.fullName, contacts: [{ vcard: vcard(contact) }] } }
+    },
+    reaction({ messageId, emoji, fromMe = false, participant }, receiver) {
+        const key = { remoteJid: receiver, id: messageId, fromMe }
+
+        if (participant) {
+            key.participant = formatPhone(participant)
+        }
+
+        return { react: { text: emoji, key } }
+    },
+    // Baileys has no content for it, the worker relays the message as it is
+    liveLocation({ latitude, longitude, accuracy, speed, bearing, caption, sequence = 0 }) {
+        return {
+            liveLocationMessage: {
+                degreesLatitude: Number(latitude),
+                degreesLongitude: Number(longitude),
+                accuracyInMeters: accuracy === undefined ? undefined : Number(accuracy),
+                speedInMps: speed === undefined ? undefined : Number(speed),
+                degreesClockwiseFromMagneticNorth: bearing === undefined ? undefined : Number(bearing),
+                caption,
+                sequenceNumber: Number(sequence),
+                timeOffset: 0,
+            },
+        }
+    },
+}
+
+/**
+ * The Baileys message for a body validated by `messageValidator`, `type` names the field holding it.
+ */
+const buildTypedMessage = ({ type, ...data }, receiver) => {
+    return builders[type](data[type], receiver)
+}
+
+export { MESSAGE_TYPES, buildTypedMessage }
@@ -0,0 +1,127 @@
+import { nextQueueItem, updateQueueItem } from './../store/outbound-queue.js'
+import { findCampaign } from './../store/campaigns.js'
+import { getLimiter } from './rate-limiter.js'
+
+const workers = new Map()
+
+const numberEnv = (name, fallback) => {
+    return parseInt(process.env[name] ?? fallback)
+}
+
+// Requests WhatsApp rejected as invalid fail at once, anything else is worth another try
+const isTransient = (error) => {
+    const statusCode = error?.output?.statusCode
+
+    return !error?.permanent && !(statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode))
+}
+
+const retryDelay = (attempts) => {
+    return numberEnv('APP_QUEUE_RETRY_DELAY', 5000) * 2 ** (attempts - 1)
+}
+
+const sendInterval = () => {
+    return numberEnv('APP_QUEUE_SEND_INTERVAL', 1000) + Math.random() * numberEnv('APP_QUEUE_JITTER', 1000)
+}
+
+const schedule = (sessionId, worker, delayMs) => {
+    clearTimeout(worker.timer)
+    worker.timer = setTimeout(() => {
+        // The queue file may fail to be read or written, the worker tries again later instead of stopping
+        drain(sessionId, worker).catch((error) => {
+            console.error('Unable to drain the outbound queue: ' + sessionId, error.message)
+
+            if (!worker.stopped) {
+                schedule(sessionId, worker, numberEnv('APP_QUEUE_RETRY_DELAY', 5000))
+            }
+        })
+    }, delayMs)
+}
+
+const sendItem = async (sessionId, worker, item) => {
+    const attempts = item.attempts + 1
+
+    updateQueueItem(sessionId, item.id, { status: 'sending', attempts })
+
+    try {
+        const result = await worker.send(item)
+
+        updateQueueItem(sessionId, item.id, {
+            status: 'sent',
+            error: null,
+            messageId: result?.key?.id ?? null,
+            sentAt: Date.now(),
+        })
+    } catch (error) {
+        const retry = isTransient(error) && attempts < numberEnv('APP_QUEUE_MAX_ATTEMPTS', 5)
+        // The campaign may have been paused while the message was being sent, the retry waits for resume
+        const isPaused = item.campaignId && findCampaign(sessionId, item.campaignId)?.status === 'paused'
+
+        updateQueueItem(sessionId, item.id, {
+            status: retry ? (isPaused ? 'paused' : 'queued') : 'failed',
+            error: error?.message ?? 'Failed to send the message.',
+            nextAttemptAt: retry ? Date.now() + retryDelay(attempts) : null,
+        })
+    }
+}
+
+const drain = async (sessionId, worker) => {
+    if (worker.stopped) {
+        return
+    }
+
+    const { item, nextAttemptAt } = nextQueueItem(sessionId)
+
+    worker.idle = !item
+
+    if (!item) {
+        // Idle until the next retry is due or notifyOutboundWorker is called
+        return nextAttemptAt ? schedule(sessionId, worker, Math.max(nextAttemptAt - Date.now(), 0)) : undefined
+    }
+
+    // The per-session limits pace the queue, messages wait for a token instead of failing
+    const limit = getLimiter('session').consume(sessionId)
+
+    if (!limit.allowed) {
+        return schedule(sessionId, worker, limit.retryAfter * 1000)
+    }
+
+    await sendItem(sessionId, worker, item)
+
+    if (!worker.stopped) {
+        schedule(sessionId, worker, sendInterval())
+    }
+}
+
+/**
+ * Drains the queue of the session with `send(item)`, one message every `APP_QUEUE_SEND_INTERVAL`
+ * ms plus up to `APP_QUEUE_JITTER` ms.
+ */
+const startOutboundWorker = (sessionId, send) => {
+    stopOutboundWorker(sessionId)
+
+    const worker = { send, timer: null, idle: false, stopped: false }
+
+    workers.set(sessionId, worker)
+    schedule(sessionId, worker, 0)
+}
+
+const stopOutboundWorker = (sessionId) => {
+    const worker = workers.get(sessionId)
+
+    if (worker) {
+        worker.stopped = true
+        clearTimeout(worker.timer)
+        workers.delete(sessionId)
+    }
+}
+
+// Wakes an idle worker up when messages are queued, a busy one keeps its pace
+const notifyOutboundWorker = (sessionId) => {
+    const worker = workers.get(sessionId)
+
+    if (worker?.idle) {
+        schedule(sessionId, worker, 0)
+    }
+}
+
+export { startOutboundWorker, stopOutboundWorker, notifyOutboundWorker }
@@ -0,0 +1,158 @@
+import { sessionsDir, readJsonFile, writeJsonFile } from './functions.js'
+
+const limiters = new Map()
+
+let usage = null
+let flushTimer = null
+
+const usageFile = () => {
+    return sessionsDir('rate_limits.json')
+}
+
+const today = () => {
+    return new Date().toISOString().slice(0, 10)
+}
+
+// Daily caps are reset at midnight UTC
+const nextReset = () => {
+    const date = new Date()
+
+    date.setUTCHours(24, 0, 0, 0)
+
+    return date.getTime()
+}
+
+const getUsage = () => {
+    if (!usage) {
+        usage = readJsonFile(usageFile(), { day: today(), counts: {} })
+    }
+
+    if (usage.day !== today()) {
+        usage = { day: today(), counts: {} }
+    }
+
+    return usage
+}
+
+const flushRateLimits = () => {
+    clearTimeout(flushTimer)
+    flushTimer = null
+
+    if (usage) {
+        writeJsonFile(usageFile(), usage)
+    }
+}
+
+// The daily counts are persisted so a restart does not reset them, writes are coalesced like the webhook log
+const scheduleFlush = () => {
+    if (flushTimer) {
+        return
+    }
+
+    flushTimer = setTimeout(() => {
+        try {
+            flushRateLimits()
+        } catch (error) {
+            console.error('Unable to write rate limit usage.', error.message)
+        }
+    }, 1000)
+}
+
+const limitConfig = (prefix) => {
+    const value = (name) => {
+        return parseFloat(process.env[`APP_RATE_LIMIT_${prefix}_${name}`] ?? 0) || 0
+    }
+
+    return { capacity: value('CAPACITY'), refillPerSecond: value('REFILL_PER_SECOND'), dailyCap: value('DAILY_CAP') }
+}
+
+/**
+ * A token bucket of `capacity` tokens refilled at `refillPerSecond`, plus a daily cap. A capacity
+ * or a daily cap of 0 disables that limit.
+ */
+const makeLimiter = (name, { capacity, refillPerSecond, dailyCap }) => {
+    const buckets = new Map()
+
+    const counts = () => {
+        const { counts } = getUsage()
+
+        if (!counts[name]) {
+            counts[name] = {}
+        }
+
+        return counts[name]
+    }
+
+    const refill = (id) => {
+        const now = Date.now()
+        const bucket = buckets.get(id) ?? { tokens: capacity, updatedAt: now }
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond)
+        bucket.updatedAt = now
+        buckets.set(id, bucket)
+
+        return bucket
+    }
+
+    const secondsUntilReset = () => {
+        return Math.ceil((nextReset() - Date.now()) / 1000)
+    }
+
+    const consume = (id) => {
+        const used = counts()[id] ?? 0
+
+        if (dailyCap > 0 && used >= dailyCap) {
+            return { allowed: false, reason: 'daily', retryAfter: secondsUntilReset() }
+        }
+
+        if (capacity > 0) {
+            const bucket = refill(id)
+
+            if (bucket.tokens < 1) {
+                const retryAfter =
+                    refillPerSecond > 0 ? Math.ceil((1 - bucket.tokens) / refillPerSecond) : secondsUntilReset()
+
+                return { allowed: false, reason: 'rate', retryAfter }
+            }
+
+            bucket.tokens--
+        }
+
+        counts()[id] = used + 1
+        scheduleFlush()
+
+        return { allowed: true }
+    }
+
+    const usageOf = (id) => {
+        return {
+            id,
+            tokens: capacity > 0 ? Math.floor(refill(id).tokens) : null,
+            capacity,
+            refillPerSecond,
+            dailyUsed: counts()[id] ?? 0,
+            dailyCap,
+            resetsAt: nextReset(),
+        }
+    }
+
+    const ids = () => {
+        return [...new Set([...buckets.keys(), ...Object.keys(counts())])]
+    }
+
+    return { name, consume, usage: usageOf, ids }
+}
+
+/**
+ * `key` limits the HTTP requests of each API key (`APP_RATE_LIMIT_KEY_*`) and `session` the
+ * messages sent by each session (`APP_RATE_LIMIT_SESSION_*`).
+ */
+const getLimiter = (name) => {
+    if (!limiters.has(name)) {
+        limiters.set(name, makeLimiter(name, limitConfig(name.toUpperCase())))
+    }
+
+    return limiters.get(name)
+}
+
+export { getLimiter, flushRateLimits }
@@ -0,0 +1,82 @@
+import { areJidsSameUser } from 'baileys'
+import { formatPhone, getStoreMessage } from './../whatsapp.js'
+
+const MENTIONS_PLACEHOLDER = /{{\s*mentions\s*}}/g
+
+// Phone numbers become user JIDs, JIDs (a LID of a group participant for one) are kept as they are
+const mentionJid = (mention) => {
+    return mention.includes('@') ? mention : formatPhone(mention)
+}
+
+// Everyone in the group but the session itself
+const groupMentions = async (session, receiver) => {
+    const { participants } = await session.groupMetadata(receiver)
+
+    return participants
+        .map(({ id }) => {
+            return id
+        })
+        .filter((id) => {
+            return !areJidsSameUser(id, session.user.id) && !areJidsSameUser(id, session.user.lid)
+        })
+}
+
+/**
+ * `@number` of each mentioned JID, WhatsApp only highlights a mention written this way in the text.
+ */
+const mentionText = (jids) => {
+    return jids
+        .map((jid) => {
+            return `@${jid.split('@')[0]}`
+        })
+        .join(' ')
+}
+
+/**
+ * The mentions and the send options of a body holding `quotedMessageId`, `mentions` or `mentionAll`.
+ * The quoted message must be in the store of the session, returns `{ error }` when it is not.
+ */
+const resolveReply = async (session, receiver, { quotedMessageId, mentions = [], mentionAll = false }, isGroup) => {
+    if (mentionAll && !isGroup) {
+        return { error: 'mentionAll can only be used in groups.' }
+    }
+
+    if (quotedMessageId) {
+        const [quoted] = await getStoreMessage(session, quotedMessageId, receiver).catch(() => {
+            return []
+        })
+
+        if (!quoted) {
+            return { error: 'The quoted message was not found.' }
+        }
+    }
+
+    const jids = mentions.map(mentionJid)
+
+    if (mentionAll) {
+        jids.push(...(await groupMentions(session, receiver)))
+    }
+
+    return {
+        mentions: [...new Set(jids)],
+        // The worker loads the quoted message from the store when it sends
+        options: quotedMessageId ? { quotedMessageId } : {},
+    }
+}
+
+/**
+ * Renders the `{{mentions}}` placeholder of the text or caption as `@number` and attaches the JIDs.
+ */
+const withMentions = (message, jids) => {
+    const rendered = jids.length > 0 ? { ...message, mentions: jids } : { ...message }
+
+    for (const field of ['text', 'caption']) {
+        if (typeof message[field] === 'string') {
+            rendered[field] = message[field].replace(MENTIONS_PLACEHOLDER, mentionText(jids))
+        }
+    }
+
+    return rendered
+}
+
+export { mentionText, resolveReply, withMentions }
@@ -0,0 +1,89 @@
+import { dueSchedules, nextDueAt, recordRun } from './../store/schedules.js'
+import { nextCronRun } from './cron.js'
+
+// Checked at least once a minute so a clock change does not delay the schedules for long
+const MAX_WAIT = 60000
+
+let timer = null
+let runner = null
+
+const numberEnv = (name, fallback) => {
+    return parseInt(process.env[name] ?? fallback)
+}
+
+// The most recent run that came due, a recurring schedule may have missed several while the server was down
+const latestDueRun = (schedule, now) => {
+    let due = schedule.nextRunAt
+    let next = schedule.cron ? nextCronRun(schedule.cron, due, schedule.timezone) : null
+
+    while (next !== null && next <= now) {
+        due = next
+        next = nextCronRun(schedule.cron, due, schedule.timezone)
+    }
+
+    return due
+}
+
+/**
+ * A run is missed when it is more than `APP_SCHEDULE_GRACE_PERIOD` ms late, usually because the
+ * server was down. `catchUp: 'once'` still sends it if it is less than `APP_SCHEDULE_CATCH_UP_WINDOW`
+ * ms late, `catchUp: 'skip'` waits for the next run.
+ */
+const shouldSend = (schedule, now) => {
+    const lateness = now - latestDueRun(schedule, now)
+
+    if (lateness <= numberEnv('APP_SCHEDULE_GRACE_PERIOD', 60000)) {
+        return true
+    }
+
+    return schedule.catchUp === 'once' && lateness <= numberEnv('APP_SCHEDULE_CATCH_UP_WINDOW', 86400000)
+}
+
+const runSchedule = (schedule, now) => {
+    const sent = shouldSend(schedule, now)
+    let itemId = null
+
+    if (sent) {
+        try {
+            itemId = runner(schedule)?.id ?? null
+        } catch (error) {
+            console.error('Unable to queue scheduled message: ' + schedule.id, error.message)
+        }
+    }
+
+    recordRun(schedule, { sent, itemId, now })
+}
+
+const tick = () => {
+    const now = Date.now()
+
+    for (const schedule of dueSchedules(now)) {
+        runSchedule(schedule, now)
+    }
+
+    wakeScheduler()
+}
+
+/**
+ * Queues the due messages with `send(schedule)`, which returns the queued item.
+ */
+const startScheduler = (send) => {
+    runner = send
+    wakeScheduler()
+}
+
+// Waits for the next due schedule again, called when the schedules change
+const wakeScheduler = () => {
+    clearTimeout(timer)
+
+    if (!runner) {
+        return
+    }
+
+    const next = nextDueAt()
+    const wait = next === null ? MAX_WAIT : Math.min(Math.max(next - Date.now(), 0), MAX_WAIT)
+
+    timer = setTimeout(tick, wait)
+}
+
+export { startScheduler, wakeScheduler }
@@ -0,0 +1,96 @@
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'crypto'
+import { promisify } from 'util'
+import { gunzipSync, gzipSync } from 'zlib'
+import { STORE_VERSION } from './../store/memory-store.js'
+
+const ARCHIVE_FORMAT = 'baileys-api-session'
+const CIPHER = 'aes-256-gcm'
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1 }
+
+const deriveKey = (passphrase, salt, { N, r, p }) => {
+    // Scrypt needs 128 * N * r bytes, above the 32 MiB allowed by default
+    return promisify(scrypt)(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r })
+}
+
+/**
+ * Encrypts the session payload with a key derived from the passphrase. The archive is a JSON
+ * envelope whose `version` is the store format it was made with, so it can be checked before decrypting.
+ */
+const sealArchive = async (payload, passphrase) => {
+    const salt = randomBytes(16)
+    const iv = randomBytes(12)
+    const key = await deriveKey(passphrase, salt, SCRYPT_OPTIONS)
+
+    const cipher = createCipheriv(CIPHER, key, iv)
+    const data = Buffer.concat([cipher.update(gzipSync(JSON.stringify(payload))), cipher.final()])
+
+    return Buffer.from(
+        JSON.stringify({
+            format: ARCHIVE_FORMAT,
+            version: STORE_VERSION,
+            kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_OPTIONS },
+            cipher: CIPHER,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+        }),
+    )
+}
+
+// The cost of the key derivation comes from the archive, only the one archives are made with is accepted
+const isKnownKdf = (kdf) => {
+    return (
+        kdf?.name === 'scrypt' &&
+        typeof kdf.salt === 'string' &&
+        Object.keys(SCRYPT_OPTIONS).every((option) => {
+            return kdf[option] === SCRYPT_OPTIONS[option]
+        })
+    )
+}
+
+const parseEnvelope = (archive) => {
+    try {
+        return JSON.parse(archive.toString('utf-8'))
+    } catch {
+        return null
+    }
+}
+
+const openArchive = async (archive, passphrase) => {
+    const envelope = parseEnvelope(archive)
+
+    if (envelope?.format !== ARCHIVE_FORMAT || envelope.cipher !== CIPHER || envelope.kdf?.name !== 'scrypt') {
+        throw new Error('The file is not a session archive.')
+    }
+
+    if (!isKnownKdf(envelope.kdf)) {
+        throw new Error('Unsupported key derivation parameters in the archive.')
+    }
+
+    if (envelope.version !== STORE_VERSION) {
+        throw new Error(`Unsupported archive version ${envelope.version}, expected ${STORE_VERSION}.`)
+    }
+
+    let payload
+
+    try {
+        const key = await deriveKey(passphrase, Buffer.from(envelope.kdf.salt, 'base64'), SCRYPT_OPTIONS)
+        const decipher = createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'))
+
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'))
+
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()])
+
+        payload = JSON.parse(gunzipSync(data).toString('utf-8'))
+    } catch {
+        throw new Error('Unable to decrypt the archive, the passphrase is wrong or the archive is damaged.')
+    }
+
+    if (payload.store && payload.store.version !== STORE_VERSION) {
+        throw new Error(`Unsupported store version ${payload.store.version}, expected ${STORE_VERSION}.`)
+    }
+
+    return payload
+}
+
+export { sealArchive, openArchive }
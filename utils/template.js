@@ -0,0 +1,80 @@
+import { findTemplate } from './../store/templates.js'
+
+const PLACEHOLDER = /{{\s*([\w.-]+)\s*}}/g
+
+// Applies `transform` to every string of the message, at any depth
+const mapStrings = (value, transform) => {
+    if (typeof value === 'string') {
+        return transform(value)
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((entry) => {
+            return mapStrings(entry, transform)
+        })
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, entry]) => {
+                return [key, mapStrings(entry, transform)]
+            }),
+        )
+    }
+
+    return value
+}
+
+/**
+ * Names of the `{{placeholders}}` found in the text, captions, urls and any other string of the message.
+ */
+const templateVariables = (message) => {
+    const names = new Set()
+
+    mapStrings(message, (text) => {
+        for (const [, name] of text.matchAll(PLACEHOLDER)) {
+            names.add(name)
+        }
+
+        return text
+    })
+
+    return [...names]
+}
+
+const renderTemplate = (message, variables) => {
+    return mapStrings(message, (text) => {
+        return text.replace(PLACEHOLDER, (placeholder, name) => {
+            return String(variables[name])
+        })
+    })
+}
+
+/**
+ * The message of a request body holding either a `message` or the name of a stored `template` and
+ * its `variables`. `defaults` fill the variables left out, returns `{ error }` when some are missing.
+ */
+const resolveMessage = (sessionId, { message, template, variables = {} }, defaults = {}) => {
+    if (!template) {
+        return { message }
+    }
+
+    const stored = findTemplate(sessionId, template)
+
+    if (!stored) {
+        return { error: `The template ${template} does not exist.` }
+    }
+
+    const values = { ...defaults, ...variables }
+    const missing = templateVariables(stored.message).filter((name) => {
+        return values[name] === undefined || values[name] === null
+    })
+
+    if (missing.length > 0) {
+        return { error: `Missing template variables: ${missing.join(', ')}.` }
+    }
+
+    return { message: renderTemplate(stored.message, values) }
+}
+
+export { templateVariables, renderTemplate, resolveMessage }
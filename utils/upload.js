@@ -0,0 +1,356 @@
+import { createHash, randomUUID } from 'crypto'
+import { createWriteStream, mkdirSync, rmSync } from 'fs'
+import { writeFile } from 'fs/promises'
+import { join, resolve, sep } from 'path'
+import busboy from 'busboy'
+import { sessionsDir } from './functions.js'
+import { queueEvents } from './../store/outbound-queue.js'
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker']
+
+// Fields of a multipart send holding JSON, like they would in a JSON body
+const JSON_FIELDS = ['message', 'variables', 'options', 'mentions']
+
+const FINAL_STATUSES = ['sent', 'failed', 'cancelled']
+
+// Enough of the head of a file to recognize it
+const SNIFF_LENGTH = 16
+
+const uploadError = (statusCode, message) => {
+    const error = new Error(message)
+
+    error.statusCode = statusCode
+
+    return error
+}
+
+const uploadDir = () => {
+    return resolve(process.env.APP_UPLOAD_DIR || sessionsDir('uploads'))
+}
+
+const maxUploadSize = () => {
+    return parseInt(process.env.APP_UPLOAD_MAX_SIZE ?? 16777216)
+}
+
+// Base64 is a third larger than the file it holds, the rest of the body gets another megabyte
+const jsonBodyLimit = () => {
+    return Math.ceil((maxUploadSize() * 4) / 3) + 1048576
+}
+
+const ascii = (text) => {
+    return [...text].map((char) => {
+        return char.charCodeAt(0)
+    })
+}
+
+// Magic numbers, at the start of the file unless an offset is given
+const SIGNATURES = [
+    { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { mime: 'image/gif', bytes: ascii('GIF8') },
+    { mime: 'image/webp', bytes: ascii('WEBP'), offset: 8 },
+    { mime: 'audio/wav', bytes: ascii('WAVE'), offset: 8 },
+    { mime: 'video/x-msvideo', bytes: ascii('AVI '), offset: 8 },
+    { mime: 'audio/mp4', bytes: ascii('ftypM4A'), offset: 4 },
+    { mime: 'video/quicktime', bytes: ascii('ftypqt'), offset: 4 },
+    { mime: 'video/3gpp', bytes: ascii('ftyp3g'), offset: 4 },
+    { mime: 'video/mp4', bytes: ascii('ftyp'), offset: 4 },
+    { mime: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+    { mime: 'audio/ogg', bytes: ascii('OggS') },
+    { mime: 'audio/flac', bytes: ascii('fLaC') },
+    { mime: 'audio/mpeg', bytes: ascii('ID3') },
+    // ADTS frames carry AAC, the other MPEG audio frames MP3
+    { mime: 'audio/aac', bytes: [0xff, 0xf1] },
+    { mime: 'audio/aac', bytes: [0xff, 0xf9] },
+    { mime: 'audio/mpeg', bytes: [0xff, 0xfb] },
+    { mime: 'audio/mpeg', bytes: [0xff, 0xf3] },
+    { mime: 'audio/mpeg', bytes: [0xff, 0xf2] },
+    { mime: 'application/pdf', bytes: ascii('%PDF') },
+    { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { mime: 'application/msword', bytes: [0xd0, 0xcf, 0x11, 0xe0] },
+    { mime: 'application/gzip', bytes: [0x1f, 0x8b] },
+]
+
+/**
+ * Recognizes the file from its first bytes, returns null for formats it does not know.
+ */
+const sniffMime = (head) => {
+    const signature = SIGNATURES.find(({ bytes, offset = 0 }) => {
+        return (
+            head.length >= offset + bytes.length &&
+            bytes.every((byte, index) => {
+                return head[offset + index] === byte
+            })
+        )
+    })
+
+    // The WebP, WAVE and AVI markers follow a RIFF header
+    if (signature?.offset === 8 && head.toString('latin1', 0, 4) !== 'RIFF') {
+        return null
+    }
+
+    return signature?.mime ?? null
+}
+
+// The message type of a file uploaded without saying which
+const typeOfMime = (mime) => {
+    const [category] = (mime ?? '').split('/')
+
+    return ['image', 'video', 'audio'].includes(category) ? category : 'document'
+}
+
+/**
+ * Checks the sniffed type against the message type and picks the mimetype sent to WhatsApp. Documents
+ * can be anything, their declared type is kept since a docx only sniffs as a zip.
+ */
+const mediaMimetype = (type, sniffed, declared) => {
+    if (type === 'document') {
+        return declared && declared !== 'application/octet-stream' ? declared : (sniffed ?? 'application/octet-stream')
+    }
+
+    const accepted = type === 'sticker' ? sniffed === 'image/webp' : sniffed?.startsWith(`${type}/`)
+
+    if (!accepted) {
+        throw uploadError(415, `The uploaded file is not a valid ${type}.`)
+    }
+
+    return sniffed
+}
+
+const tempFile = () => {
+    mkdirSync(uploadDir(), { recursive: true })
+
+    return join(uploadDir(), randomUUID())
+}
+
+const isUpload = (path) => {
+    return typeof path === 'string' && resolve(path).startsWith(uploadDir() + sep)
+}
+
+// Replaces the media of the message by the saved file, captions and the other properties are kept
+const attachMedia = (message, type, { path, mimetype, fileName }) => {
+    const media = typeof message[type] === 'object' ? message[type] : {}
+
+    delete media.base64
+
+    return {
+        ...message,
+        [type]: { ...media, url: path },
+        mimetype: message.mimetype ?? mimetype,
+        ...(type === 'document' && fileName && !message.fileName ? { fileName } : {}),
+    }
+}
+
+/**
+ * Writes the `base64` media of a JSON message (plain or a `data:` url) to the upload area, the path and
+ * the sha256 of the file are added to `uploads`.
+ */
+const decodeBase64Media = async (message, uploads = []) => {
+    const type = MEDIA_TYPES.find((name) => {
+        return typeof message?.[name]?.base64 === 'string'
+    })
+
+    if (!type) {
+        return message
+    }
+
+    const [, declared, data] = message[type].base64.match(/^(?:data:([\w.+-]+\/[\w.+-]+);base64,)?(.*)$/s)
+    const buffer = Buffer.from(data, 'base64')
+
+    if (buffer.length === 0) {
+        throw uploadError(400, 'The base64 media is empty.')
+    }
+
+    if (buffer.length > maxUploadSize()) {
+        throw uploadError(413, 'The media is larger than the upload limit.')
+    }
+
+    const mimetype = mediaMimetype(type, sniffMime(buffer.subarray(0, SNIFF_LENGTH)), declared ?? message.mimetype)
+    const path = tempFile()
+
+    uploads.push({ path, sha256: createHash('sha256').update(buffer).digest('hex') })
+    await writeFile(path, buffer)
+
+    return attachMedia(message, type, { path, mimetype })
+}
+
+const parseField = (name, value) => {
+    if (name === 'isGroup' || name === 'mentionAll') {
+        return value === 'true'
+    }
+
+    if (JSON_FIELDS.includes(name) || (name === 'receiver' && value.startsWith('['))) {
+        try {
+            return JSON.parse(value)
+        } catch {
+            throw uploadError(400, `The ${name} field is not valid JSON.`)
+        }
+    }
+
+    return value
+}
+
+// Streams the file to the upload area while keeping its first bytes to sniff and hashing it
+const saveFileStream = (stream) => {
+    const path = tempFile()
+    const hash = createHash('sha256')
+    let head = Buffer.alloc(0)
+    let size = 0
+
+    return new Promise((resolve, reject) => {
+        const output = createWriteStream(path)
+
+        stream.on('data', (chunk) => {
+            size += chunk.length
+            hash.update(chunk)
+
+            if (head.length < SNIFF_LENGTH) {
+                head = Buffer.concat([head, chunk]).subarray(0, SNIFF_LENGTH)
+            }
+        })
+        stream.on('limit', () => {
+            stream.unpipe(output)
+            stream.resume()
+            // The file may still be opening, it is removed once the stream is closed
+            output.once('close', () => {
+                rmSync(path, { force: true })
+            })
+            output.destroy()
+            reject(uploadError(413, 'The file is larger than the upload limit.'))
+        })
+        output.on('error', reject)
+        output.on('finish', () => {
+            resolve({ path, head, size, sha256: hash.digest('hex') })
+        })
+
+        stream.pipe(output)
+    })
+}
+
+/**
+ * Reads a `multipart/form-data` send: the fields become the body and the one file, sent as `image`,
+ * `video`, `audio`, `document`, `sticker` or `file` to go by its type, becomes the media of the message.
+ * The path and the sha256 of the file are added to `uploads`.
+ */
+const readMultipart = (req, uploads = []) => {
+    return new Promise((resolve, reject) => {
+        const body = {}
+        let upload = null
+        let parser
+
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { files: 1, fileSize: maxUploadSize(), fields: 50, fieldSize: 1048576 },
+            })
+        } catch (error) {
+            reject(uploadError(400, error.message))
+
+            return
+        }
+
+        parser.on('field', (name, value) => {
+            try {
+                body[name] = parseField(name, value)
+            } catch (error) {
+                parser.destroy(error)
+            }
+        })
+        parser.on('file', (name, stream, { filename, mimeType }) => {
+            if (!MEDIA_TYPES.includes(name) && name !== 'file') {
+                stream.resume()
+
+                return parser.destroy(uploadError(400, `Unknown file field ${name}.`))
+            }
+
+            upload = saveFileStream(stream).then((file) => {
+                return { ...file, name, fileName: filename, declared: mimeType }
+            })
+            // A file over the limit fails while the rest of the body is still being read, its error is
+            // kept on the promise and given to `reject` by the close handler
+            upload.catch(() => {})
+        })
+        parser.on('filesLimit', () => {
+            parser.destroy(uploadError(400, 'Only one file can be sent with a message.'))
+        })
+        // A file already saved is removed when the rest of the request turns out invalid
+        const fail = async (error) => {
+            const file = await upload?.catch(() => {
+                return null
+            })
+
+            if (file) {
+                rmSync(file.path, { force: true })
+            }
+
+            reject(error)
+        }
+
+        parser.on('error', fail)
+        parser.on('close', async () => {
+            let file = null
+
+            try {
+                file = await upload
+
+                if (file) {
+                    const sniffed = sniffMime(file.head)
+                    const type = file.name === 'file' ? typeOfMime(sniffed ?? file.declared) : file.name
+
+                    body.message = attachMedia(
+                        { ...(body.message ?? {}), ...(body.caption ? { caption: body.caption } : {}) },
+                        type,
+                        {
+                            path: file.path,
+                            mimetype: mediaMimetype(type, sniffed, file.declared),
+                            fileName: file.fileName,
+                        },
+                    )
+                    delete body.caption
+                    uploads.push({ path: file.path, sha256: file.sha256 })
+                }
+
+                resolve(body)
+            } catch (error) {
+                if (file) {
+                    rmSync(file.path, { force: true })
+                }
+
+                reject(error)
+            }
+        })
+
+        req.pipe(parser)
+    })
+}
+
+/**
+ * Deletes the files the server wrote to the upload area. The uploads come from `readMultipart` and
+ * `decodeBase64Media`, never from the message, whose url is whatever the client sent.
+ */
+const removeUploads = (uploads = []) => {
+    for (const { path } of uploads) {
+        if (isUpload(path)) {
+            rmSync(path, { force: true })
+        }
+    }
+}
+
+// An uploaded file is only needed until its message leaves the queue
+queueEvents.on('update', (item) => {
+    if (FINAL_STATUSES.includes(item.status)) {
+        removeUploads(item.uploads)
+    }
+})
+
+export {
+    MEDIA_TYPES,
+    uploadDir,
+    isUpload,
+    maxUploadSize,
+    jsonBodyLimit,
+    sniffMime,
+    readMultipart,
+    decodeBase64Media,
+    removeUploads,
+}
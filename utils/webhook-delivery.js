@@ -0,0 +1,261 @@
+import { createHmac, randomUUID } from 'crypto'
+import { mkdirSync, readdirSync, rmSync } from 'fs'
+import { join } from 'path'
+import axios from 'axios'
+import { sessionsDir, readSecureJsonFile, writeSecureJsonFile } from './functions.js'
+import { logDelivery, logAttempt, markReplayed } from './../store/webhook-log.js'
+import { findEvent } from './../store/event-journal.js'
+
+const timers = new Map()
+
+const outboxDir = () => {
+    return sessionsDir('webhook_outbox')
+}
+
+const deadLetterDir = () => {
+    return sessionsDir('webhook_dead_letter')
+}
+
+const maxAttempts = () => {
+    return parseInt(process.env.APP_WEBHOOK_MAX_ATTEMPTS ?? 8)
+}
+
+/**
+ * Exponential backoff with "equal jitter": half of the delay is fixed and the
+ * other half is random, so retries of the same burst do not hit the receiver together.
+ */
+const backoffDelay = (attempts) => {
+    const baseDelay = parseInt(process.env.APP_WEBHOOK_RETRY_BASE_DELAY ?? 1000)
+    const maxDelay = parseInt(process.env.APP_WEBHOOK_RETRY_MAX_DELAY ?? 300000)
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempts - 1))
+
+    return Math.round(delay / 2 + Math.random() * (delay / 2))
+}
+
+const isRetryable = (statusCode) => {
+    return statusCode === undefined || statusCode >= 500 || [408, 425, 429].includes(statusCode)
+}
+
+/**
+ * Receivers verify a delivery by computing the same HMAC over `<timestamp>.<raw body>`
+ * and comparing it with the `X-Webhook-Signature` header.
+ */
+const signPayload = (secret, timestamp, body) => {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+const saveDelivery = (delivery) => {
+    mkdirSync(outboxDir(), { recursive: true })
+    writeSecureJsonFile(join(outboxDir(), `${delivery.id}.json`), delivery)
+}
+
+const moveToDeadLetter = (delivery) => {
+    mkdirSync(deadLetterDir(), { recursive: true })
+    writeSecureJsonFile(join(deadLetterDir(), `${delivery.id}.json`), { ...delivery, failedAt: Date.now() })
+    rmSync(join(outboxDir(), `${delivery.id}.json`), { force: true })
+}
+
+const scheduleDelivery = (delivery) => {
+    const wait = Math.max(0, delivery.nextAttemptAt - Date.now())
+
+    timers.set(
+        delivery.id,
+        setTimeout(() => {
+            attemptDelivery(delivery).catch((error) => {
+                console.error('Webhook delivery failed unexpectedly.', error.message)
+            })
+        }, wait),
+    )
+}
+
+const attemptDelivery = async (delivery) => {
+    timers.delete(delivery.id)
+
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(Date.now() / 1000).toString()
+    const headers = {
+        'Content-Type': 'application/json',
+        ...delivery.headers,
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+    }
+
+    if (delivery.secret) {
+        headers['X-Webhook-Signature'] = `sha256=${signPayload(delivery.secret, timestamp, body)}`
+    }
+
+    delivery.attempts++
+
+    const startedAt = Date.now()
+
+    try {
+        const { status, data } = await axios.post(delivery.url, body, {
+            headers,
+            timeout: parseInt(process.env.APP_WEBHOOK_TIMEOUT ?? 10000),
+        })
+
+        rmSync(join(outboxDir(), `${delivery.id}.json`), { force: true })
+        logAttempt(delivery, { statusCode: status, latency: Date.now() - startedAt, response: data }, 'delivered')
+    } catch (error) {
+        const statusCode = error.response?.status
+        const retryable = isRetryable(statusCode) && delivery.attempts < maxAttempts()
+
+        delivery.lastError = statusCode ? `HTTP ${statusCode}` : error.message
+
+        logAttempt(
+            delivery,
+            {
+                statusCode,
+                latency: Date.now() - startedAt,
+                response: error.response?.data,
+                error: delivery.lastError,
+            },
+            retryable ? 'pending' : 'failed',
+        )
+
+        if (!retryable) {
+            return moveToDeadLetter(delivery)
+        }
+
+        delivery.nextAttemptAt = Date.now() + backoffDelay(delivery.attempts)
+        saveDelivery(delivery)
+        scheduleDelivery(delivery)
+    }
+}
+
+/**
+ * The delivery is written to the outbox before the first attempt, so it is
+ * retried after a restart even if the process dies while posting it.
+ */
+const enqueueDelivery = ({
+    sessionId,
+    webhookId = null,
+    url,
+    headers = {},
+    secret = null,
+    type,
+    data,
+    eventCursor = null,
+    replayOf,
+}) => {
+    const delivery = {
+        id: randomUUID(),
+        sessionId,
+        webhookId,
+        url,
+        headers,
+        secret,
+        payload: { instance: sessionId, type, data },
+        eventCursor,
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        replayOf: replayOf ?? null,
+    }
+
+    logDelivery(delivery)
+
+    try {
+        saveDelivery(delivery)
+    } catch (error) {
+        console.error('Unable to persist webhook delivery, it will not survive a restart.', error.message)
+    }
+
+    scheduleDelivery(delivery)
+
+    return delivery
+}
+
+const readDeliveries = (dir) => {
+    let files = []
+
+    try {
+        files = readdirSync(dir)
+    } catch {
+        return []
+    }
+
+    return files
+        .filter((file) => {
+            return file.endsWith('.json')
+        })
+        .map((file) => {
+            // A delivery that cannot be decrypted is left on disk, the others still go out
+            try {
+                return readSecureJsonFile(join(dir, file))
+            } catch (error) {
+                console.error('Unable to read webhook delivery: ' + file, error.message)
+
+                return null
+            }
+        })
+        .filter(Boolean)
+}
+
+const resumeDeliveries = () => {
+    for (const delivery of readDeliveries(outboxDir())) {
+        if (!timers.has(delivery.id)) {
+            scheduleDelivery(delivery)
+        }
+    }
+}
+
+const getDeadLetters = (sessionId) => {
+    return readDeliveries(deadLetterDir())
+        .filter((delivery) => {
+            return delivery.sessionId === sessionId
+        })
+        .map(({ secret, ...delivery }) => {
+            return delivery
+        })
+        .sort((a, b) => {
+            return b.failedAt - a.failedAt
+        })
+}
+
+/**
+ * The payload of a logged delivery: a dead letter still holds it, otherwise it is read back from the
+ * event journal. Null once the event was dropped from the journal.
+ */
+const deliveryPayload = async (entry) => {
+    // Entries logged before the payload moved out of the log still carry it
+    if (entry.payload) {
+        return entry.payload
+    }
+
+    const deadLetter = readSecureJsonFile(join(deadLetterDir(), `${entry.id}.json`))
+
+    if (deadLetter) {
+        return deadLetter.payload
+    }
+
+    const event = entry.eventCursor ? await findEvent(entry.sessionId, entry.eventCursor) : null
+
+    return event ? { instance: entry.sessionId, type: event.type, data: event.data } : null
+}
+
+/**
+ * Sends a logged delivery again as a new delivery, the original entry keeps its history and points to
+ * the replay through `replayedBy`. The log keeps redacted headers, the current ones of the webhook are sent.
+ */
+const replayDelivery = (entry, payload, { headers = {}, secret = null } = {}) => {
+    const delivery = enqueueDelivery({
+        sessionId: entry.sessionId,
+        webhookId: entry.webhookId,
+        url: entry.url,
+        headers,
+        secret,
+        type: payload.type,
+        data: payload.data,
+        eventCursor: entry.eventCursor,
+        replayOf: entry.id,
+    })
+
+    markReplayed(entry.sessionId, entry.id, delivery.id)
+    rmSync(join(deadLetterDir(), `${entry.id}.json`), { force: true })
+
+    return delivery
+}
+
+export { enqueueDelivery, deliveryPayload, replayDelivery, resumeDeliveries, getDeadLetters, signPayload }
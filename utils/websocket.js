@@ -0,0 +1,81 @@
+import { WebSocketServer } from 'ws'
+import { authenticate } from './../middlewares/authenticationValidator.js'
+import { hasScope } from './../middlewares/authorizationValidator.js'
+import { parseFilter, restrictFilter, subscribeEvents, eventsSince } from './events.js'
+
+const EVENTS_PATH = '/events/ws'
+
+const handleConnection = (ws, url, filter) => {
+    const send = (event) => {
+        ws.send(JSON.stringify(event))
+    }
+
+    eventsSince(url.searchParams.get('lastEventId'), filter).forEach(send)
+
+    const unsubscribe = subscribeEvents(filter, send)
+
+    ws.isAlive = true
+    ws.on('pong', () => {
+        ws.isAlive = true
+    })
+    ws.on('close', unsubscribe)
+}
+
+/**
+ * Streams the same events as the SSE endpoint at `/events/ws`, authenticated with the
+ * `apikey` header or query parameter like every other route.
+ */
+const attachWebSocket = (server) => {
+    const wss = new WebSocketServer({ noServer: true })
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost')
+
+        if (url.pathname !== EVENTS_PATH) {
+            return socket.destroy()
+        }
+
+        const apiKey = authenticate(req.headers.apikey ?? url.searchParams.get('apikey'))
+
+        if (!apiKey) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n')
+            return socket.destroy()
+        }
+
+        const filter =
+            hasScope(apiKey, 'events:read') &&
+            restrictFilter(
+                parseFilter({ sessions: url.searchParams.get('sessions'), types: url.searchParams.get('types') }),
+                apiKey.sessions,
+            )
+
+        if (!filter) {
+            socket.write('HTTP/1.1 403 Forbidden\r\n\r\n')
+            return socket.destroy()
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            handleConnection(ws, url, filter)
+        })
+    })
+
+    // Drop connections that stopped answering pings so their subscriptions are released
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            if (!ws.isAlive) {
+                return ws.terminate()
+            }
+
+            ws.isAlive = false
+            ws.ping()
+        })
+    }, 30000)
+
+    wss.on('close', () => {
+        clearInterval(heartbeat)
+    })
+
+    return wss
+}
+
+export { attachWebSocket }
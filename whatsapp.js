@@ -1,47 +1,85 @@
-import { rmSync, readdir, existsSync } from 'fs'
-import { join } from 'path'
+import { rmSync, existsSync } from 'fs'
 import pino from 'pino'
 import makeWASocketModule, {
-    useMultiFileAuthState,
     makeCacheableSignalKeyStore,
     DisconnectReason,
     delay,
     downloadMediaMessage,
     getAggregateVotesInPollMessage,
     fetchLatestBaileysVersion,
+    generateWAMessageFromContent,
+    generateMessageIDV2,
     WAMessageStatus,
+    Browsers,
 } from 'baileys'
 
 import proto from 'baileys'
 
 import makeInMemoryStore from './store/memory-store.js'
+import { getWebhooks, addWebhook, removeWebhooks } from './store/webhooks-store.js'
+import { removeLog, flushLogs } from './store/webhook-log.js'
+import { appendEvent, flushJournals, removeJournal } from './store/event-journal.js'
+import { enqueueMessage, enqueueMessages, removeQueue } from './store/outbound-queue.js'
+import { recordDeliveryStatus, removeCampaigns, flushCampaigns } from './store/campaigns.js'
+import { removeIdempotentResults, flushIdempotentResults } from './store/idempotency-keys.js'
+import { trackMessage, recordMessageStatus, recordReceipt, removeMessageStatuses } from './store/message-status.js'
+import { removeSchedules } from './store/schedules.js'
+import { removeTemplates } from './store/templates.js'
+import { libraryMessage, removeMediaLibrary } from './store/media-library.js'
+import {
+    useAuthState,
+    listAuthSessions,
+    removeAuthState,
+    exportAuthState,
+    importAuthState,
+} from './store/auth-state/index.js'
+import {
+    getSessionInfo,
+    listSessionInfo,
+    registerSession,
+    updateSessionInfo,
+    removeSessionInfo,
+} from './store/session-registry.js'
 
 import { toDataURL } from 'qrcode'
-import __dirname from './dirname.js'
 import response from './response.js'
 import { downloadImage } from './utils/download.js'
-import axios from 'axios'
+import { sessionsDir } from './utils/functions.js'
+import { enqueueDelivery, resumeDeliveries } from './utils/webhook-delivery.js'
+import { publishEvent } from './utils/events.js'
+import { flushRateLimits } from './utils/rate-limiter.js'
+import { startOutboundWorker, stopOutboundWorker, notifyOutboundWorker } from './utils/outbound-worker.js'
+import { startScheduler } from './utils/scheduler.js'
 import NodeCache from 'node-cache'
 
 const msgRetryCounterCache = new NodeCache()
 
 const sessions = new Map()
 const retries = new Map()
+const linking = new Map()
 
-const APP_WEBHOOK_ALLOWED_EVENTS = process.env.APP_WEBHOOK_ALLOWED_EVENTS.split(',')
+const APP_WEBHOOK_ALLOWED_EVENTS = (process.env.APP_WEBHOOK_ALLOWED_EVENTS ?? '').split(',')
 
-const sessionsDir = (sessionId = '') => {
-    return join(__dirname, 'sessions', sessionId ? sessionId : '')
+const isSessionExists = (sessionId) => {
+    return sessions.has(sessionId) || isSessionStopped(sessionId)
 }
 
-const isSessionExists = (sessionId) => {
-    return sessions.has(sessionId)
+const isSessionStopped = (sessionId) => {
+    return Boolean(getSessionInfo(sessionId)?.stopped)
 }
 
 const isSessionConnected = (sessionId) => {
     return sessions.get(sessionId)?.ws?.socket?.readyState === 1
 }
 
+const disconnectReason = (statusCode) => {
+    return (
+        Object.keys(DisconnectReason).find((reason) => {
+            return DisconnectReason[reason] === statusCode
+        }) ?? null
+    )
+}
+
 const shouldReconnect = (sessionId) => {
     const maxRetries = parseInt(process.env.MAX_RETRIES ?? 0)
     let attempts = retries.get(sessionId) ?? 0
@@ -59,31 +97,145 @@ const shouldReconnect = (sessionId) => {
     return false
 }
 
-const callWebhook = async (instance, eventType, eventData) => {
-    if (APP_WEBHOOK_ALLOWED_EVENTS.includes('ALL') || APP_WEBHOOK_ALLOWED_EVENTS.includes(eventType)) {
-        await webhook(instance, eventType, eventData)
+const isEventAllowed = (allowedEvents, eventType) => {
+    return allowedEvents.includes('ALL') || allowedEvents.includes(eventType)
+}
+
+// WhatsApp lists the linked device under the first part of the browser description given when linking
+const deviceBrowser = () => {
+    const [deviceName, ...browser] = Browsers.macOS('Chrome')
+
+    return [process.env.APP_DEVICE_NAME || deviceName, ...browser]
+}
+
+const linkingTimeout = () => {
+    return parseInt(process.env.APP_LINKING_TIMEOUT ?? 300000)
+}
+
+const startLinking = (sessionId, { usePairingCode = false, phoneNumber = '' } = {}) => {
+    if (linking.has(sessionId)) {
+        return linking.get(sessionId)
+    }
+
+    const state = {
+        method: usePairingCode ? 'code' : 'qr',
+        phoneNumber,
+        qr: null,
+        pairingCode: null,
+        updatedAt: null,
+        startedAt: Date.now(),
+        expiresAt: Date.now() + linkingTimeout(),
+        timer: setTimeout(() => {
+            expireLinking(sessionId)
+        }, linkingTimeout()),
     }
+
+    linking.set(sessionId, state)
+
+    return state
 }
 
-const webhook = async (instance, type, data) => {
-    if (process.env.APP_WEBHOOK_URL) {
-        axios
-            .post(`${process.env.APP_WEBHOOK_URL}`, {
-                instance,
-                type,
-                data,
-            })
-            .then((success) => {
-                return success
+const stopLinking = (sessionId) => {
+    clearTimeout(linking.get(sessionId)?.timer)
+    linking.delete(sessionId)
+}
+
+const expireLinking = async (sessionId) => {
+    console.log('Linking timed out: ' + sessionId)
+    callWebhook(sessionId, 'LINKING_EXPIRED', { expiredAt: Date.now() })
+
+    try {
+        await getSession(sessionId)?.logout()
+    } catch {
+    } finally {
+        deleteSession(sessionId)
+    }
+}
+
+const getLinkingState = (sessionId) => {
+    if (!linking.has(sessionId)) {
+        return null
+    }
+
+    const { timer, ...state } = linking.get(sessionId)
+
+    return state
+}
+
+/**
+ * Requests a new pairing code for a session that is waiting to be linked, optionally
+ * switching it from QR to pairing code or to another phone number.
+ */
+const requestPairingCode = async (sessionId, phoneNumber = null) => {
+    const state = linking.get(sessionId)
+    const session = getSession(sessionId)
+
+    if (!state || !session) {
+        throw new Error('The session is not waiting to be linked.')
+    }
+
+    if (phoneNumber) {
+        state.phoneNumber = phoneNumber
+    }
+
+    const code = await session.requestPairingCode(state.phoneNumber)
+
+    state.method = 'code'
+    state.pairingCode = code
+    state.updatedAt = Date.now()
+
+    callWebhook(sessionId, 'PAIRING_CODE_UPDATED', { code, phoneNumber: state.phoneNumber })
+
+    return code
+}
+
+/**
+ * Every event is written to the session journal and published to the event stream,
+ * then delivered to the webhooks. Session webhooks take precedence, the global
+ * APP_WEBHOOK_URL is only used when the session has no enabled webhook of its own.
+ */
+const callWebhook = async (instance, eventType, eventData) => {
+    // Delivery logs point to the journaled event instead of keeping a copy of it
+    const eventCursor = appendEvent(instance, eventType, eventData)
+    publishEvent(instance, eventType, eventData)
+
+    const subscriptions = getWebhooks(instance).filter((subscription) => {
+        return subscription.enabled
+    })
+
+    if (subscriptions.length === 0) {
+        if (process.env.APP_WEBHOOK_URL && isEventAllowed(APP_WEBHOOK_ALLOWED_EVENTS, eventType)) {
+            enqueueDelivery({
+                sessionId: instance,
+                url: process.env.APP_WEBHOOK_URL,
+                secret: process.env.APP_WEBHOOK_SECRET || null,
+                type: eventType,
+                data: eventData,
+                eventCursor,
             })
-            .catch((error) => {
-                return error
+        }
+
+        return
+    }
+
+    for (const subscription of subscriptions) {
+        if (isEventAllowed(subscription.events, eventType)) {
+            enqueueDelivery({
+                sessionId: instance,
+                webhookId: subscription.id,
+                url: subscription.url,
+                headers: subscription.headers,
+                secret: subscription.secret || process.env.APP_WEBHOOK_SECRET || null,
+                type: eventType,
+                data: eventData,
+                eventCursor,
             })
+        }
     }
 }
 
 const createSession = async (sessionId, res = null, options = { usePairingCode: false, phoneNumber: '' }) => {
-    const sessionFile = 'md_' + sessionId
+    registerSession(sessionId)
 
     const logger = pino({ level: 'silent' })
     const store = makeInMemoryStore({
@@ -95,7 +247,7 @@ const createSession = async (sessionId, res = null, options = { usePairingCode:
         storeFile: sessionsDir(`${sessionId}_store.json`)
     });
 
-    const { state, saveCreds } = await useMultiFileAuthState(sessionsDir(sessionFile))
+    const { state, saveCreds } = await useAuthState(sessionId)
 
     // Fetch latest version of WA Web
     const { version, isLatest } = await fetchLatestBaileysVersion()
@@ -121,25 +273,16 @@ const createSession = async (sessionId, res = null, options = { usePairingCode:
         logger,
         msgRetryCounterCache,
         generateHighQualityLinkPreview: true,
+        browser: deviceBrowser(),
         getMessage,
     })
     store?.bind(wa.ev)
 
     sessions.set(sessionId, { ...wa, store })
 
-    if (options.usePairingCode && !wa.authState.creds.registered) {
-        if (!wa.authState.creds.account) {
-            await wa.waitForConnectionUpdate((update) => {
-                return Boolean(update.qr)
-            })
-            const code = await wa.requestPairingCode(options.phoneNumber)
-            if (res && !res.headersSent && code !== undefined) {
-                response(res, 200, true, 'Verify on your phone and enter the provided code.', { code })
-            } else {
-                response(res, 500, false, 'Unable to create session.')
-            }
-        }
-    }
+    // The linking state outlives reconnections, so its timeout keeps running until the device is linked
+    const linkingState = wa.authState.creds.registered ? null : startLinking(sessionId, options)
+    let pairingCodeRequested = false
 
     wa.ev.on('creds.update', saveCreds)
 
@@ -231,6 +374,11 @@ const createSession = async (sessionId, res = null, options = { usePairingCode:
 
     wa.ev.on('messages.update', async (m) => {
         for (const { key, update } of m) {
+            if (key.fromMe && update.status !== undefined) {
+                recordDeliveryStatus(sessionId, key.id, update.status)
+                recordMessageStatus(sessionId, key.id, update.status)
+            }
+
             const msg = await getMessage(key)
 
             if (!msg) {
@@ -250,6 +398,13 @@ const createSession = async (sessionId, res = null, options = { usePairingCode:
     })
 
     wa.ev.on('message-receipt.update', async (m) => {
+        // Receipts of each participant of a group the session sent a message to
+        for (const { key, receipt } of m) {
+            if (key.fromMe && receipt) {
+                recordReceipt(sessionId, key.id, receipt)
+            }
+        }
+
         for (const { key, messageTimestamp, pushName, broadcast, update } of m) {
             if (update?.pollUpdates) {
                 const pollCreation = await getMessage(key)
@@ -290,10 +445,47 @@ const createSession = async (sessionId, res = null, options = { usePairingCode:
 
         if (connection === 'open') {
             retries.delete(sessionId)
+            stopLinking(sessionId)
+            updateSessionInfo(sessionId, {
+                lastConnectedAt: Date.now(),
+                jid: wa.user?.id ?? null,
+                phoneNumber: wa.user?.id?.split(':')[0].split('@')[0] ?? null,
+                name: wa.user?.name ?? null,
+                deviceName: deviceBrowser()[0],
+                platform: wa.authState.creds.platform ?? null,
+            })
+            startOutboundWorker(sessionId, async (item) => {
+                const sent = await sendQueuedMessage(sessionId, item)
+
+                if (sent?.key) {
+                    trackMessage(sessionId, sent)
+                }
+
+                return sent
+            })
         }
 
         if (connection === 'close') {
-            if (statusCode === DisconnectReason.loggedOut || !shouldReconnect(sessionId)) {
+            stopOutboundWorker(sessionId)
+            updateSessionInfo(sessionId, {
+                lastDisconnect: {
+                    statusCode: statusCode ?? null,
+                    reason: disconnectReason(statusCode),
+                    message: lastDisconnect?.error?.message ?? null,
+                    at: Date.now(),
+                },
+            })
+
+            // The socket was closed by stopSession, the session must stay down until it is started again
+            if (isSessionStopped(sessionId)) {
+                return
+            }
+
+            // Baileys closes the socket once it runs out of QR codes, a session waiting to be linked gets new
+            // ones until its linking deadline whatever MAX_RETRIES is
+            const isLinking = linking.has(sessionId)
+
+            if (statusCode === DisconnectReason.loggedOut || !(isLinking || shouldReconnect(sessionId))) {
                 if (res && !res.headersSent) {
                     response(res, 500, false, 'Unable to create session.')
                 }
@@ -303,31 +495,17 @@ const createSession = async (sessionId, res = null, options = { usePairingCode:
 
             setTimeout(
                 () => {
-                    createSession(sessionId, res)
+                    // The linking may have expired meanwhile, the session is gone then
+                    if (!isSessionStopped(sessionId) && (!isLinking || linking.has(sessionId))) {
+                        createSession(sessionId, res, options)
+                    }
                 },
                 statusCode === DisconnectReason.restartRequired ? 0 : parseInt(process.env.RECONNECT_INTERVAL ?? 0),
             )
         }
 
-        if (qr) {
-            if (res && !res.headersSent) {
-                callWebhook(sessionId, 'QRCODE_UPDATED', update)
-
-                try {
-                    const qrcode = await toDataURL(qr)
-                    response(res, 200, true, 'QR code received, please scan the QR code.', { qrcode })
-                    return
-                } catch {
-                    response(res, 500, false, 'Unable to create QR code.')
-                }
-            }
-
-            try {
-                await wa.logout()
-            } catch {
-            } finally {
-                deleteSession(sessionId)
-            }
+        if (qr && linkingState) {
+            await handleQr(update)
         }
     })
 
@@ -367,6 +545,40 @@ const createSession = async (sessionId, res = null, options = { usePairingCode:
         callWebhook(sessionId, 'PRESENCE_UPDATE', p)
     })
 
+    async function handleQr(update) {
+        linkingState.qr = update.qr
+        linkingState.updatedAt = Date.now()
+
+        callWebhook(sessionId, 'QRCODE_UPDATED', update)
+
+        if (linkingState.method === 'code' && !pairingCodeRequested) {
+            pairingCodeRequested = true
+
+            try {
+                const code = await requestPairingCode(sessionId)
+
+                if (res && !res.headersSent) {
+                    response(res, 200, true, 'Verify on your phone and enter the provided code.', { code })
+                }
+            } catch {
+                if (res && !res.headersSent) {
+                    response(res, 500, false, 'Unable to create session.')
+                }
+            }
+
+            return
+        }
+
+        if (linkingState.method === 'qr' && res && !res.headersSent) {
+            try {
+                const qrcode = await toDataURL(update.qr)
+                response(res, 200, true, 'QR code received, please scan the QR code.', { qrcode })
+            } catch {
+                response(res, 500, false, 'Unable to create QR code.')
+            }
+        }
+    }
+
     async function getMessage(key) {
         if (store) {
             const msg = await store.loadMessages(key.remoteJid, key.id)
@@ -389,16 +601,146 @@ const getListSessions = () => {
     return [...sessions.keys()]
 }
 
+const getSessionStatus = (sessionId) => {
+    const states = ['connecting', 'connected', 'disconnecting', 'disconnected']
+
+    const session = getSession(sessionId)
+
+    // A registered session without a socket was stopped or could not be started
+    if (!session) {
+        if (!getSessionInfo(sessionId)) {
+            return null
+        }
+
+        return isSessionStopped(sessionId) ? 'stopped' : 'disconnected'
+    }
+
+    if (linking.has(sessionId)) {
+        return 'pending_auth'
+    }
+
+    const state = states[session.ws?.socket?.readyState]
+
+    // Retries are counted from the first close until the connection opens again
+    if (state === 'disconnected' && retries.has(sessionId)) {
+        return 'reconnecting'
+    }
+
+    return state === 'connected' && typeof session.user !== 'undefined' ? 'authenticated' : state
+}
+
+/**
+ * Closes the socket without logging out, the credentials and the store file are kept
+ * so the session can be started again, also after a restart of the API.
+ */
+const stopSession = async (sessionId) => {
+    const session = getSession(sessionId)
+
+    updateSessionInfo(sessionId, { stopped: true })
+    stopLinking(sessionId)
+    stopOutboundWorker(sessionId)
+    retries.delete(sessionId)
+
+    if (!session) {
+        return
+    }
+
+    sessions.delete(sessionId)
+
+    try {
+        session.end(undefined)
+    } catch {}
+
+    await session.store.cleanup()
+}
+
+const startSession = (sessionId) => {
+    updateSessionInfo(sessionId, { stopped: false })
+
+    return createSession(sessionId)
+}
+
+// A stopped session has no store in memory, its file is loaded into a throwaway store instead
+const readStoreSnapshot = async (sessionId) => {
+    const session = getSession(sessionId)
+
+    if (session) {
+        return session.store.serializeStoreData()
+    }
+
+    const store = makeInMemoryStore({ autoSaveInterval: 0, storeFile: sessionsDir(`${sessionId}_store.json`) })
+
+    await store.readFromFile()
+
+    return store.hasInitialData ? store.serializeStoreData() : null
+}
+
+/**
+ * Collects everything needed to run the session on another host: the auth state, the store
+ * snapshot and the session settings.
+ */
+const exportSession = async (sessionId) => {
+    const info = getSessionInfo(sessionId)
+
+    return {
+        sessionId,
+        exportedAt: Date.now(),
+        authState: await exportAuthState(sessionId),
+        store: await readStoreSnapshot(sessionId),
+        settings: {
+            tags: info?.tags ?? [],
+            owner: info?.owner ?? null,
+            metadata: info?.metadata ?? {},
+            webhooks: getWebhooks(sessionId),
+        },
+    }
+}
+
+const importSession = async (sessionId, { authState, store, settings = {} }) => {
+    const { tags, owner, metadata, webhooks = [] } = settings
+
+    await importAuthState(sessionId, authState)
+
+    if (store) {
+        const storeFile = sessionsDir(`${sessionId}_store.json`)
+
+        await makeInMemoryStore({ autoSaveInterval: 0, storeFile }).writeToFileInternal(storeFile, store)
+    }
+
+    registerSession(sessionId, { tags, owner, metadata })
+
+    for (const webhook of webhooks) {
+        addWebhook(sessionId, webhook)
+    }
+
+    return createSession(sessionId)
+}
+
 const deleteSession = (sessionId) => {
-    const sessionFile = 'md_' + sessionId
     const storeFile = `${sessionId}_store.json`
     const rmOptions = { force: true, recursive: true }
 
-    rmSync(sessionsDir(sessionFile), rmOptions)
+    removeAuthState(sessionId).catch((error) => {
+        console.error('Unable to remove auth state: ' + sessionId, error.message)
+    })
     rmSync(sessionsDir(storeFile), rmOptions)
+    removeWebhooks(sessionId)
+    removeLog(sessionId)
+    removeJournal(sessionId)
+    stopOutboundWorker(sessionId)
+    removeQueue(sessionId)
+    removeCampaigns(sessionId)
+    removeSchedules(sessionId)
+    removeTemplates(sessionId)
+    removeMediaLibrary(sessionId)
+    removeMessageStatuses(sessionId)
+    removeIdempotentResults(sessionId)
+
+    removeSessionInfo(sessionId)
 
     sessions.delete(sessionId)
     retries.delete(sessionId)
+    stopLinking(sessionId)
 }
 
 const getChatList = (sessionId, isGroup = false) => {
@@ -407,6 +749,13 @@ const getChatList = (sessionId, isGroup = false) => {
     return [...chats.values()].filter(chat => chat.id.endsWith(filter))
 }
 
+// The name saved for the contact, or the name it set on WhatsApp
+const getContactName = (session, jid) => {
+    const contact = session.store.contacts.get(jid)
+
+    return contact?.name ?? contact?.notify ?? contact?.verifiedName ?? null
+}
+
 /**
  * @param {import('baileys').AnyWASocket} session
  */
@@ -440,6 +789,88 @@ const sendMessage = async (session, receiver, message, options = {}, delayMs = 1
     }
 }
 
+// The ID of the message is chosen when it is queued so it can be given back right away, retries reuse it
+const withMessageId = (sessionId, { options, ...data }) => {
+    const messageId = generateMessageIDV2(getSession(sessionId)?.user?.id)
+
+    return { ...data, options: { messageId, ...options } }
+}
+
+/**
+ * Adds a message to the outbound queue of the session, it is sent in the background by the worker.
+ */
+const queueMessage = (sessionId, data) => {
+    const item = enqueueMessage(sessionId, withMessageId(sessionId, data))
+
+    notifyOutboundWorker(sessionId)
+
+    return item
+}
+
+const queueMessages = (sessionId, list) => {
+    const items = enqueueMessages(
+        sessionId,
+        list.map((data) => {
+            return withMessageId(sessionId, data)
+        }),
+    )
+
+    notifyOutboundWorker(sessionId)
+
+    return items
+}
+
+// The send options of a queued message, the quoted message is looked up by its ID
+const queuedSendOptions = async (session, receiver, { quotedMessageId, ...options } = {}) => {
+    if (!quotedMessageId) {
+        return options
+    }
+
+    const [quoted] = await getStoreMessage(session, quotedMessageId, receiver).catch(() => {
+        return []
+    })
+
+    if (!quoted) {
+        const error = new Error('The quoted message does not exist anymore.')
+
+        error.permanent = true
+        throw error
+    }
+
+    return { ...options, quoted }
+}
+
+const sendQueuedMessage = async (sessionId, { receiver, message, options, isGroup, verifyReceiver }) => {
+    const session = getSession(sessionId)
+
+    if (verifyReceiver && !(await isExists(session, receiver, isGroup))) {
+        const error = new Error('The receiver number is not exists.')
+
+        error.permanent = true
+        throw error
+    }
+
+    const sendOptions = await queuedSendOptions(session, receiver, options)
+
+    // Media from the library reuses its last upload to WhatsApp through Baileys' media cache
+    if (message.mediaId) {
+        const { message: content, mediaCache } = libraryMessage(sessionId, message)
+
+        return session.sendMessage(receiver, content, { ...sendOptions, mediaCache })
+    }
+
+    // Baileys has no content for a live location, it is built from the proto and relayed
+    if (message.liveLocationMessage) {
+        const waMessage = generateWAMessageFromContent(receiver, message, { ...sendOptions, userJid: session.user.id })
+
+        await session.relayMessage(receiver, waMessage.message, { messageId: waMessage.key.id })
+
+        return waMessage
+    }
+
+    return session.sendMessage(receiver, message, sendOptions)
+}
+
 /**
  * @param {import('baileys').AnyWASocket} session
  */
@@ -501,6 +932,12 @@ const cleanup = () => {
     sessions.forEach((session, sessionId) => {
         session.store.writeToFile(sessionsDir(`${sessionId}_store.json`))
     })
+
+    flushLogs()
+    flushJournals()
+    flushCampaigns()
+    flushRateLimits()
+    flushIdempotentResults()
 }
 
 const getGroupsWithParticipants = async (session) => {
@@ -552,6 +989,13 @@ const readMessage = async (session, keys) => {
     return session.readMessages(keys)
 }
 
+/**
+ * Stars or unstars a message of the chat, only on the devices of the account.
+ */
+const starMessage = async (session, jid, { id, fromMe }, star) => {
+    return session.chatModify({ star: { messages: [{ id, fromMe }], star } }, jid)
+}
+
 const getStoreMessage = async (session, messageId, remoteJid) => {
     try {
         return await session.store.loadMessages(remoteJid, messageId)
@@ -596,22 +1040,47 @@ const convertToBase64 = (arrayBytes) => {
 }
 
 const init = () => {
-    readdir(sessionsDir(), (err, files) => {
-        if (err) {
-            throw err
-        }
+    // A file that cannot be decrypted must not keep the API and the sessions from starting
+    try {
+        resumeDeliveries()
+    } catch (error) {
+        console.error('Unable to resume webhook deliveries.', error.message)
+    }
 
-        for (const file of files) {
-            if ((!file.startsWith('md_') && !file.startsWith('legacy_')) || file.endsWith('_store')) {
-                continue
+    // Scheduled messages go through the queue, they wait there while their session is offline
+    try {
+        startScheduler(({ sessionId, receiver, message, isGroup }) => {
+            return queueMessage(sessionId, { receiver, message, isGroup, verifyReceiver: true })
+        })
+    } catch (error) {
+        console.error('Unable to start the scheduler.', error.message)
+    }
+
+    listAuthSessions()
+        .then((sessionIds) => {
+            // Registry entries of sessions that never saved credentials cannot be recovered
+            for (const { id } of listSessionInfo()) {
+                if (!sessionIds.includes(id)) {
+                    removeSessionInfo(id)
+                }
             }
 
-            const filename = file.replace('.json', '')
-            const sessionId = filename.substring(3)
-            console.log('Recovering session: ' + sessionId)
-            createSession(sessionId)
-        }
-    })
+            for (const sessionId of sessionIds) {
+                if (isSessionStopped(sessionId)) {
+                    console.log('Skipping stopped session: ' + sessionId)
+                    continue
+                }
+
+                console.log('Recovering session: ' + sessionId)
+                // A credentials file that cannot be decrypted must not stop the other sessions from recovering
+                createSession(sessionId).catch((error) => {
+                    console.error('Unable to recover session: ' + sessionId, error.message)
+                })
+            }
+        })
+        .catch((error) => {
+            console.error('Unable to recover sessions.', error)
+        })
 }
 
 export {
@@ -621,9 +1090,12 @@ export {
     getListSessions,
     deleteSession,
     getChatList,
+    getContactName,
     getGroupsWithParticipants,
     isExists,
     sendMessage,
+    queueMessage,
+    queueMessages,
     updateProfileStatus,
     updateProfileName,
     getProfilePicture,
@@ -645,5 +1117,14 @@ export {
     isSessionConnected,
     getMessageMedia,
     getStoreMessage,
+    starMessage,
     blockAndUnblockUser,
+    getLinkingState,
+    requestPairingCode,
+    getSessionStatus,
+    isSessionStopped,
+    stopSession,
+    startSession,
+    exportSession,
+    importSession,
 }